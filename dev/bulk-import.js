@@ -9,6 +9,7 @@ import { fileURLToPath } from 'url';
 
 // Import our existing sync logic
 import { AsanaAPI } from '../src/lib/asana-api-direct.js';
+import { GitHubAPI, GitHubAPIError } from '../src/lib/github-api-direct.js';
 import { IssueSync } from '../src/lib/issue-sync.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -39,32 +40,14 @@ function loadEnvVars() {
 }
 
 // Fetch specific items by number
-async function fetchSpecificItems(owner, repo, type, numbers, githubToken) {
+async function fetchSpecificItems(githubAPI, owner, repo, type, numbers) {
   const items = [];
   
   for (const number of numbers) {
     try {
       console.log(`Fetching ${type} #${number}...`);
       
-      const url = `https://api.github.com/repos/${owner}/${repo}/${type}/${number}`;
-      
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `token ${githubToken}`,
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'github-asana-bulk-import'
-        }
-      });
-      
-      if (!response.ok) {
-        if (response.status === 404) {
-          console.log(`  ⚠️  ${type} #${number} not found`);
-          continue;
-        }
-        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-      }
-      
-      const item = await response.json();
+      const item = await githubAPI.request('GET', `/repos/${owner}/${repo}/${type}/${number}`);
       
       // Filter out PRs from issues endpoint (GitHub issues API includes PRs)
       if (type === 'issues' && item.pull_request) {
@@ -75,10 +58,11 @@ async function fetchSpecificItems(owner, repo, type, numbers, githubToken) {
       items.push(item);
       console.log(`  ✅ Found ${type} #${number}: ${item.title}`);
       
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
     } catch (error) {
+      if (error instanceof GitHubAPIError && error.status === 404) {
+        console.log(`  ⚠️  ${type} #${number} not found`);
+        continue;
+      }
       console.error(`  ❌ Error fetching ${type} #${number}: ${error.message}`);
     }
   }
@@ -87,69 +71,32 @@ async function fetchSpecificItems(owner, repo, type, numbers, githubToken) {
 }
 
 // Fetch all issues or PRs from GitHub with pagination
-async function fetchAllItems(owner, repo, type, state, githubToken) {
-  const items = [];
-  let page = 1;
-  const perPage = 100;
+async function fetchAllItems(githubAPI, owner, repo, type, state) {
+  console.log(`Fetching ${type}...`);
   
-  while (true) {
-    const url = `https://api.github.com/repos/${owner}/${repo}/${type}?state=${state}&page=${page}&per_page=${perPage}&sort=created&direction=asc`;
-    
-    console.log(`Fetching ${type} page ${page}...`);
-    
-    const response = await fetch(url, {
-      headers: {
-        'Authorization': `token ${githubToken}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'github-asana-bulk-import'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const pageItems = await response.json();
-    
-    if (pageItems.length === 0) {
-      break;
-    }
-    
-    // Filter out PRs from issues endpoint (GitHub issues API includes PRs)
-    const filteredItems = type === 'issues' 
-      ? pageItems.filter(item => !item.pull_request)
-      : pageItems;
-    
-    items.push(...filteredItems);
-    console.log(`  Found ${filteredItems.length} ${type} on page ${page} (total: ${items.length})`);
-    
-    if (pageItems.length < perPage) {
-      break; // Last page
-    }
-    
-    page++;
-    
-    // Rate limiting - be nice to GitHub API
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
+  const { items } = await githubAPI.paginate(`/repos/${owner}/${repo}/${type}?state=${state}&sort=created&direction=asc`);
   
-  return items;
+  // Filter out PRs from issues endpoint (GitHub issues API includes PRs)
+  const filteredItems = type === 'issues'
+    ? items.filter(item => !item.pull_request)
+    : items;
+  
+  console.log(`  Found ${filteredItems.length} ${type}`);
+  return filteredItems;
 }
 
 // Check if task already exists in Asana
 async function taskExists(asanaAPI, projectId, githubUrl) {
   try {
-    const tasks = await asanaAPI.getTasksForProject(projectId, {
-      opt_fields: 'name,notes',
-      limit: 100
-    });
+    const tasks = asanaAPI.iterateTasksForProject(projectId, { opt_fields: 'name,notes' });
     
-    // Check first page of tasks
-    const existingTask = tasks.data.find(task => 
-      task.notes && task.notes.includes(githubUrl)
-    );
+    for await (const task of tasks) {
+      if (task.notes && task.notes.includes(githubUrl)) {
+        return true;
+      }
+    }
     
-    return !!existingTask;
+    return false;
   } catch (error) {
     console.warn(`Warning: Could not check for existing task: ${error.message}`);
     return false;
@@ -258,6 +205,7 @@ Examples:
   
   // Initialize Asana API and sync
   const asanaAPI = new AsanaAPI(env.ASANA_PAT);
+  const githubAPI = new GitHubAPI(env.GITHUB_TOKEN);
   const issueSync = new IssueSync(asanaAPI, env);
   
   const results = {
@@ -275,8 +223,8 @@ Examples:
     if (!prsOnly) {
       console.log('📋 Fetching issues...');
       const issues = specificNumbers 
-        ? await fetchSpecificItems(owner, repoName, 'issues', specificNumbers, env.GITHUB_TOKEN)
-        : await fetchAllItems(owner, repoName, 'issues', state, env.GITHUB_TOKEN);
+        ? await fetchSpecificItems(githubAPI, owner, repoName, 'issues', specificNumbers)
+        : await fetchAllItems(githubAPI, owner, repoName, 'issues', state);
       results.issues.found = issues.length;
       
       if (issues.length > 0) {
@@ -312,8 +260,8 @@ Examples:
     if (!issuesOnly) {
       console.log('\n🔄 Fetching pull requests...');
       const prs = specificNumbers 
-        ? await fetchSpecificItems(owner, repoName, 'pulls', specificNumbers, env.GITHUB_TOKEN)
-        : await fetchAllItems(owner, repoName, 'pulls', state, env.GITHUB_TOKEN);
+        ? await fetchSpecificItems(githubAPI, owner, repoName, 'pulls', specificNumbers)
+        : await fetchAllItems(githubAPI, owner, repoName, 'pulls', state);
       results.prs.found = prs.length;
       
       if (prs.length > 0) {
@@ -0,0 +1,182 @@
+// Setup script for registering the Asana webhook that feeds Asana changes back to GitHub
+// Usage: node dev/setup-asana-webhook.js [worker-url] [--list] [--delete=<webhook-gid>]
+// Example: node dev/setup-asana-webhook.js
+// Example: node dev/setup-asana-webhook.js https://my-worker.example.workers.dev
+
+import { readFileSync } from 'fs';
+import { randomBytes, createHmac } from 'crypto';
+
+// Read environment variables from .dev.vars file
+function getEnvVar(varName) {
+  try {
+    const envContent = readFileSync('.dev.vars', 'utf8');
+    const match = envContent.match(new RegExp(`${varName}=(.+)`));
+    return match ? match[1].trim() : null;
+  } catch (error) {
+    return process.env[varName] || null;
+  }
+}
+
+const ASANA_PAT = getEnvVar('ASANA_PAT');
+const ASANA_PROJECT_ID = getEnvVar('ASANA_PROJECT_ID');
+const ASANA_WEBHOOK_KEY_SECRET = getEnvVar('ASANA_WEBHOOK_KEY_SECRET');
+const ASANA_API_URL = 'https://app.asana.com/api/1.0';
+
+// Events the worker acts on; everything else would just cost deliveries
+const WEBHOOK_FILTERS = [
+  { resource_type: 'task', action: 'changed', fields: ['completed'] },
+  { resource_type: 'story', resource_subtype: 'comment_added' }
+];
+
+async function asanaRequest(method, endpoint, data = null) {
+  const options = {
+    method,
+    headers: {
+      'Authorization': `Bearer ${ASANA_PAT}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    }
+  };
+
+  if (data) {
+    options.body = JSON.stringify(data);
+  }
+
+  const response = await fetch(`${ASANA_API_URL}${endpoint}`, options);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Asana API error: ${response.status} - ${errorText}`);
+  }
+
+  return await response.json();
+}
+
+async function getWorkspaceForProject(projectId) {
+  const result = await asanaRequest('GET', `/projects/${projectId}?opt_fields=name,workspace`);
+  console.log(`✅ Project found: ${result.data.name}`);
+  return result.data.workspace.gid;
+}
+
+async function listWebhooks(projectId) {
+  const workspaceGid = await getWorkspaceForProject(projectId);
+  const params = new URLSearchParams({
+    workspace: workspaceGid,
+    resource: projectId,
+    opt_fields: 'gid,active,target,created_at,last_failure_at,last_failure_content'
+  });
+
+  const result = await asanaRequest('GET', `/webhooks?${params}`);
+
+  if (result.data.length === 0) {
+    console.log(`ℹ️  No Asana webhooks registered on project ${projectId}`);
+    return;
+  }
+
+  console.log(`🪝 Asana webhooks on project ${projectId}:`);
+  for (const webhook of result.data) {
+    console.log(`   - ${webhook.gid} ${webhook.active ? '(active)' : '(inactive)'}`);
+    console.log(`     Target: ${webhook.target}`);
+    console.log(`     Created: ${webhook.created_at}`);
+    if (webhook.last_failure_at) {
+      console.log(`     Last failure: ${webhook.last_failure_at} - ${webhook.last_failure_content}`);
+    }
+  }
+}
+
+async function deleteWebhook(webhookGid) {
+  console.log(`🗑️  Deleting Asana webhook ${webhookGid}...`);
+  await asanaRequest('DELETE', `/webhooks/${webhookGid}`);
+  console.log(`✅ Webhook deleted`);
+}
+
+async function createWebhook(projectId, workerUrl) {
+  // Every registration gets its own unguessable target; the worker stores the handshake
+  // secret under this key and refuses to overwrite it. The key is signed with
+  // ASANA_WEBHOOK_KEY_SECRET, without which the worker refuses the handshake.
+  const keyName = `${projectId}-${randomBytes(12).toString('hex')}`;
+  const webhookKey = `${keyName}.${createHmac('sha256', ASANA_WEBHOOK_KEY_SECRET).update(keyName).digest('hex')}`;
+  const target = `${workerUrl.replace(/\/+$/, '')}/asana/${webhookKey}`;
+
+  console.log(`🪝 Creating Asana webhook for project ${projectId}...`);
+  console.log(`   Target URL: ${target}`);
+
+  // Asana performs the X-Hook-Secret handshake with the worker before this call returns;
+  // the worker persists the secret and uses it to verify every later delivery
+  const result = await asanaRequest('POST', '/webhooks', {
+    data: {
+      resource: projectId,
+      target,
+      filters: WEBHOOK_FILTERS
+    }
+  });
+
+  const webhook = result.data;
+  console.log(`✅ Webhook created successfully!`);
+  console.log(`   - Webhook ID: ${webhook.gid}`);
+  console.log(`   - Active: ${webhook.active}`);
+  console.log(`   - Secret: stored by the worker during the handshake`);
+
+  return webhook;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log('Usage: node dev/setup-asana-webhook.js [worker-url] [--list] [--delete=<webhook-gid>]');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node dev/setup-asana-webhook.js');
+    console.log('  node dev/setup-asana-webhook.js https://custom-worker.example.workers.dev');
+    console.log('  node dev/setup-asana-webhook.js --list');
+    console.log('  node dev/setup-asana-webhook.js --delete=1234567890');
+    console.log('');
+    console.log('If worker-url is not provided, defaults to https://issue-sync.ant-mcp.org');
+    console.log('Requires ASANA_PAT, ASANA_PROJECT_ID and ASANA_WEBHOOK_KEY_SECRET (the same value as the worker\'s) in .dev.vars.');
+    process.exit(0);
+  }
+
+  if (!ASANA_PAT || !ASANA_PROJECT_ID) {
+    console.error('❌ ASANA_PAT and ASANA_PROJECT_ID are required. Set them in .dev.vars.');
+    process.exit(1);
+  }
+
+  if (!ASANA_WEBHOOK_KEY_SECRET && !args.includes('--list') && !args.some(arg => arg.startsWith('--delete='))) {
+    console.error('❌ ASANA_WEBHOOK_KEY_SECRET is required to register a webhook. Set it in .dev.vars and as a worker secret.');
+    process.exit(1);
+  }
+
+  const deleteArg = args.find(arg => arg.startsWith('--delete='));
+  const workerUrl = args.find(arg => !arg.startsWith('--')) || 'https://issue-sync.ant-mcp.org';
+
+  try {
+    if (args.includes('--list')) {
+      await listWebhooks(ASANA_PROJECT_ID);
+      return;
+    }
+
+    if (deleteArg) {
+      await deleteWebhook(deleteArg.split('=')[1]);
+      return;
+    }
+
+    if (workerUrl.includes('localhost') || workerUrl.includes('127.0.0.1')) {
+      console.warn('⚠️  Asana cannot reach a local worker. Expose it through a tunnel and pass the public URL instead.');
+      process.exit(1);
+    }
+
+    await getWorkspaceForProject(ASANA_PROJECT_ID);
+    await createWebhook(ASANA_PROJECT_ID, workerUrl);
+
+    console.log(`\n🎉 Asana webhook setup completed!`);
+    console.log(`   - Project: ${ASANA_PROJECT_ID}`);
+    console.log(`   - Worker: ${workerUrl}`);
+  } catch (error) {
+    console.error('\n❌ Asana webhook setup failed:', error.message);
+    console.error('\n💡 Make sure the worker is deployed with the ASANA_WEBHOOK_STORE binding before registering.');
+    process.exit(1);
+  }
+}
+
+main().catch(console.error);
@@ -5,6 +5,7 @@
 
 import { readFileSync } from 'fs';
 import { createHmac } from 'crypto';
+import { GitHubAPI, GitHubAPIError } from '../src/lib/github-api-direct.js';
 
 // Read environment variables from .dev.vars file
 function getEnvVar(varName) {
@@ -27,6 +28,7 @@ function getWebhookSecret() {
 
 const GITHUB_TOKEN = getGitHubToken();
 const WEBHOOK_SECRET = getWebhookSecret();
+const githubAPI = new GitHubAPI(GITHUB_TOKEN);
 
 function parseGitHubUrl(url) {
   const match = url.match(/https:\/\/github\.com\/([^\/]+)\/([^\/]+)(?:\/.*)?$/);
@@ -41,22 +43,16 @@ function parseGitHubUrl(url) {
 async function checkRepoAccess(owner, repo) {
   console.log(`🔍 Checking access to ${owner}/${repo}...`);
   
-  const response = await fetch(`https://api.github.com/repos/${owner}/${repo}`, {
-    headers: {
-      'Authorization': `token ${GITHUB_TOKEN}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'github-asana-sync-setup'
-    }
-  });
-
-  if (!response.ok) {
-    if (response.status === 404) {
+  let repoData;
+  try {
+    repoData = await githubAPI.getRepository(owner, repo);
+  } catch (error) {
+    if (error instanceof GitHubAPIError && error.status === 404) {
       throw new Error(`Repository ${owner}/${repo} not found or insufficient permissions. Ensure your GitHub token has admin access to this repository.`);
     }
-    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    throw error;
   }
 
-  const repoData = await response.json();
   console.log(`✅ Repository found: ${repoData.full_name}`);
   console.log(`   - Private: ${repoData.private}`);
   console.log(`   - Admin permissions: ${repoData.permissions?.admin || 'unknown'}`);
@@ -79,7 +75,13 @@ async function createWebhook(owner, repo, webhookUrl) {
       'issues',
       'issue_comment', 
       'pull_request',
-      'pull_request_review_comment'
+      'pull_request_review',
+      'pull_request_review_comment',
+      'milestone',
+      'repository',
+      'check_suite',
+      'check_run',
+      'status'
     ],
     config: {
       url: webhookUrl,
@@ -96,27 +98,17 @@ async function createWebhook(owner, repo, webhookUrl) {
     console.log(`   ⚠️  No webhook secret configured - signatures will not be verified`);
   }
 
-  const response = await fetch(`https://api.github.com/repos/${owner}/${repo}/hooks`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `token ${GITHUB_TOKEN}`,
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'github-asana-sync-setup',
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(webhookConfig)
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    if (response.status === 422 && errorData.errors?.some(e => e.message?.includes('Hook already exists'))) {
+  let webhook;
+  try {
+    webhook = await githubAPI.request('POST', `/repos/${owner}/${repo}/hooks`, webhookConfig);
+  } catch (error) {
+    if (error instanceof GitHubAPIError && error.status === 422 && error.message.includes('Hook already exists')) {
       console.log(`ℹ️  Webhook already exists for ${webhookUrl}`);
       return null;
     }
-    throw new Error(`Failed to create webhook: ${response.status} ${response.statusText}\n${JSON.stringify(errorData, null, 2)}`);
+    throw new Error(`Failed to create webhook: ${error.message}`);
   }
 
-  const webhook = await response.json();
   console.log(`✅ Webhook created successfully!`);
   console.log(`   - Webhook ID: ${webhook.id}`);
   console.log(`   - Events: ${webhook.events.join(', ')}`);
@@ -125,45 +117,12 @@ async function createWebhook(owner, repo, webhookUrl) {
   return webhook;
 }
 
-async function fetchWithPagination(url, headers) {
-  const allItems = [];
-  let nextUrl = url;
-  
-  while (nextUrl) {
-    console.log(`   Fetching: ${nextUrl}`);
-    const response = await fetch(nextUrl, { headers });
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const items = await response.json();
-    allItems.push(...items);
-    
-    // Check for next page in Link header
-    const linkHeader = response.headers.get('Link');
-    const nextMatch = linkHeader?.match(/<([^>]+)>;\s*rel="next"/);
-    nextUrl = nextMatch ? nextMatch[1] : null;
-    
-    console.log(`   Found ${items.length} items (total: ${allItems.length})`);
-  }
-  
-  return allItems;
-}
-
 async function importExistingIssues(owner, repo, webhookUrl, state = 'all') {
   console.log(`\n📥 Importing existing issues from ${owner}/${repo}...`);
   console.log(`   State filter: ${state}`);
   
-  const headers = {
-    'Authorization': `token ${GITHUB_TOKEN}`,
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'github-asana-sync-setup'
-  };
-  
   // Fetch all issues (GitHub API includes PRs in issues endpoint, we'll filter them)
-  const issuesUrl = `https://api.github.com/repos/${owner}/${repo}/issues?state=${state}&per_page=100`;
-  const allIssues = await fetchWithPagination(issuesUrl, headers);
+  const { items: allIssues } = await githubAPI.paginate(`/repos/${owner}/${repo}/issues?state=${state}`);
   
   // Separate issues from PRs
   const issues = allIssues.filter(item => !item.pull_request);
@@ -367,7 +326,11 @@ async function main() {
     console.log(`        ✅ Issues`);
     console.log(`        ✅ Issue comments`);
     console.log(`        ✅ Pull requests`);
+    console.log(`        ✅ Pull request reviews`);
     console.log(`        ✅ Pull request review comments`);
+    console.log(`        ✅ Milestones`);
+    console.log(`        ✅ Repositories`);
+    console.log(`        ✅ Check suites, check runs and statuses`);
     console.log(`   4. Click "Add webhook"\n`);
     
     // Still do the import in manual mode if we have a token
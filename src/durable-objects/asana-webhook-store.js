@@ -0,0 +1,49 @@
+// Durable Object holding the handshake secret for a single Asana webhook
+
+export class AsanaWebhookStore {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    try {
+      const { pathname } = new URL(request.url);
+      
+      if (pathname !== '/secret') {
+        return new Response('Not found', { status: 404 });
+      }
+      
+      if (request.method === 'GET') {
+        const secret = await this.state.storage.get('secret');
+        return this.json({ secret: secret || null });
+      }
+      
+      if (request.method === 'PUT') {
+        const { secret } = await request.json();
+        
+        // A handshake is only trusted once; re-registering a webhook uses a new target URL
+        const existing = await this.state.storage.get('secret');
+        if (existing) {
+          return this.json({ error: 'Secret already set for this webhook' }, 409);
+        }
+        
+        await this.state.storage.put('secret', secret);
+        console.log('💾 Stored Asana webhook secret');
+        return this.json({ status: 'stored' });
+      }
+      
+      return new Response('Method not allowed', { status: 405 });
+    } catch (error) {
+      console.error('Error in AsanaWebhookStore:', error);
+      return this.json({ error: error.message }, 500);
+    }
+  }
+
+  json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
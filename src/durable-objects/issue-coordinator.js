@@ -1,6 +1,18 @@
 // Durable Object for coordinating operations on a single GitHub issue
-import { AsanaAPI } from '../lib/asana-api-direct.js';
+import { AsanaAPI, AsanaAPIError } from '../lib/asana-api-direct.js';
+import { ETAG_CACHE_PREFIX, GitHubAPIError } from '../lib/github-api-direct.js';
+import { createGitHubAPI, githubAuthConfigured } from '../lib/github-app-auth.js';
+import { parseGithubUrl } from '../lib/util/github-url.js';
 import { IssueSync } from '../lib/issue-sync.js';
+import { syncIssueStateFromTask } from '../lib/github-issue-state.js';
+import { ensureMilestoneTask } from '../lib/asana-milestone.js';
+import { createIssueComment, updateIssueComment, deleteIssueComment, formatMirroredComment } from '../lib/github-issue-comment.js';
+import { AsanaEventType, GithubEventType } from '../lib/constants.js';
+
+// How long a state change we pushed to GitHub is remembered, so its webhook echo can be ignored
+const ASANA_ECHO_TTL_MS = 5 * 60 * 1000;
+// How long processed webhook deliveries are remembered; GitHub redelivers up to three days back
+const DELIVERY_TTL_MS = 3 * 24 * 60 * 60 * 1000;
 
 export class IssueCoordinator {
   constructor(state, env) {
@@ -15,10 +27,39 @@ export class IssueCoordinator {
 
   async fetch(request) {
     try {
-      const { eventType, payload, headers } = await request.json();
+      const { pathname } = new URL(request.url);
+      let result;
       
-      // Process the event
-      const result = await this.handleEvent(eventType, payload, headers);
+      if (pathname === '/task') {
+        // Lets other coordinators look up this issue's task (e.g. for tracked issues)
+        result = { taskGid: this.cachedTaskGid || null };
+      } else if (pathname === '/milestone') {
+        // Lets issue coordinators get this milestone's milestone task without racing to create it
+        const { projectId, milestone } = await request.json();
+        result = await this.state.blockConcurrencyWhile(() => this.ensureMilestoneTask(projectId, milestone));
+      } else if (pathname === '/delivery') {
+        // Repository-wide webhooks (renames) have no issue to dedupe on, so they claim their
+        // delivery on the repository's coordinator before fanning out
+        const { deliveryId } = await request.json();
+        result = await this.state.blockConcurrencyWhile(() => this.claimDelivery(deliveryId));
+      } else if (pathname === '/move') {
+        // The issue now lives at another URL (transfer, repository rename)
+        const { githubUrl, taskGid } = await request.json();
+        result = await this.state.blockConcurrencyWhile(() => this.moveTo(githubUrl, taskGid));
+      } else if (pathname === '/migrate') {
+        // Receiving end of a move
+        const { taskGid, state } = await request.json();
+        result = await this.adoptMigratedTask(taskGid, state);
+      } else if (pathname === '/asana') {
+        // Change that originated in Asana
+        const { eventType, data } = await request.json();
+        result = await this.handleAsanaEvent(eventType, data);
+      } else {
+        const { eventType, payload, headers } = await request.json();
+        
+        // Process the event
+        result = await this.handleEvent(eventType, payload, headers);
+      }
       
       return new Response(JSON.stringify(result), {
         headers: { 'Content-Type': 'application/json' }
@@ -35,57 +76,337 @@ export class IssueCoordinator {
     }
   }
 
-  async handleEvent(eventType, payload, headers) {
+  async handleEvent(eventType, payload, headers = {}) {
+    // Fan-outs (CI, imports) suffix their webhook's delivery ID; other synthetic events have none
+    const deliveryId = headers['x-github-delivery'] || null;
+    
     // Use blockConcurrencyWhile to ensure operations are processed sequentially
-    return await this.state.blockConcurrencyWhile(async () => {
-      console.log(`🔄 Processing event: ${eventType} for issue: ${this.getIssueUrl(payload)}`);
+    const { references, ...result } = await this.state.blockConcurrencyWhile(async () => {
+      console.log(`🔄 Processing event: ${eventType} for issue: ${this.getIssueUrl(payload)} (delivery: ${deliveryId || 'none'})`);
       
-      const maxRetries = 2;
-      const retryDelays = [5000, 10000]; // 5 seconds, then 10 seconds
+      // Redeliveries of a webhook we already synced would redo the whole sync
+      const deliveries = await this.state.storage.get('processedDeliveries') || {};
+      if (deliveryId && deliveries[deliveryId] > Date.now()) {
+        console.log(`🔁 Delivery ${deliveryId} was already processed, ignoring`);
+        return { status: 'duplicate', deliveryId, taskGid: this.cachedTaskGid };
+      }
+      
+      const result = await this.processEvent(eventType, payload);
       
-      for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-          // Initialize Asana API client
-          const asanaAPI = new AsanaAPI(this.env.ASANA_PAT);
-          const issueSync = new IssueSync(asanaAPI, this.env);
-          
-          // Pass the cached task GID if we have one
-          if (this.cachedTaskGid) {
-            console.log(`📌 Passing cached task GID: ${this.cachedTaskGid}`);
-            payload._cachedAsanaTaskGid = this.cachedTaskGid;
-          }
-          
-          // Process the event using the unified handler
-          const result = await issueSync.handleEvent(eventType, payload);
-          
-          // Store the task GID if we created/found a task
-          if (result.taskGid && result.taskGid !== this.cachedTaskGid) {
-            this.cachedTaskGid = result.taskGid;
-            await this.state.storage.put('asanaTaskGid', result.taskGid);
-            console.log(`💾 Stored Asana task GID: ${result.taskGid}`);
-          }
-          
-          // Success! Return the result
-          return result;
-          
-        } catch (error) {
-          console.error(`❌ Attempt ${attempt + 1} failed:`, error.message);
-          
-          // If this was the last attempt, throw the error
-          if (attempt === maxRetries) {
-            console.error(`🚫 All ${maxRetries + 1} attempts failed. Giving up.`);
-            throw error;
-          }
-          
-          // Wait before retrying
-          const delay = retryDelays[attempt];
-          console.log(`⏳ Retrying in ${delay / 1000} seconds...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+      // Only recorded once processed, so redelivering a failed delivery retries it
+      if (deliveryId) {
+        await this.recordDelivery(deliveries, deliveryId);
+      }
+      
+      return { ...result, deliveryId };
+    });
+    
+    if (references) {
+      await this.syncReferences(references);
+    }
+    
+    return result;
+  }
+
+  async claimDelivery(deliveryId) {
+    const deliveries = await this.state.storage.get('processedDeliveries') || {};
+    if (deliveries[deliveryId] > Date.now()) {
+      console.log(`🔁 Delivery ${deliveryId} was already claimed, ignoring`);
+      return { status: 'duplicate', deliveryId };
+    }
+    
+    await this.recordDelivery(deliveries, deliveryId);
+    return { status: 'claimed', deliveryId };
+  }
+
+  async recordDelivery(deliveries, deliveryId) {
+    const now = Date.now();
+    const unexpired = Object.entries(deliveries).filter(([, expiresAt]) => expiresAt > now);
+    await this.state.storage.put('processedDeliveries', Object.fromEntries([...unexpired, [deliveryId, now + DELIVERY_TTL_MS]]));
+  }
+
+  // References to other issues are resolved outside the lock: resolving asks the referenced
+  // issues' coordinators for their tasks, and two issues referencing each other would
+  // otherwise each wait for the other to release its lock
+  async syncReferences(references) {
+    const issueSync = new IssueSync(new AsanaAPI(this.env.ASANA_PAT), this.env, this.state.storage);
+    const resolution = await issueSync.resolveReferences(references);
+    await this.state.blockConcurrencyWhile(() => issueSync.syncReferences(references, resolution));
+  }
+
+  async processEvent(eventType, payload) {
+    // Skip the webhook GitHub sends back after we closed/reopened the issue from Asana
+    if (await this.isEchoOfAsanaChange(eventType, payload)) {
+      console.log(`🔕 Ignoring ${payload.action} event caused by Asana task completion`);
+      return { status: 'skipped', action: payload.action, reason: 'echo of Asana change', taskGid: this.cachedTaskGid };
+    }
+    
+    // A transferred issue gets a new URL, and with it a new coordinator
+    if (eventType === GithubEventType.ISSUES && payload.action === 'transferred' && payload.changes?.new_issue) {
+      return await this.handleTransfer(payload);
+    }
+    
+    const maxRetries = 2;
+    const retryDelays = [5000, 10000]; // 5 seconds, then 10 seconds
+    
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        // Initialize Asana API client
+        const asanaAPI = new AsanaAPI(this.env.ASANA_PAT);
+        const issueSync = new IssueSync(asanaAPI, this.env, this.state.storage, { deferReferences: true });
+        
+        // Pass the cached task GID if we have one
+        if (this.cachedTaskGid) {
+          console.log(`📌 Passing cached task GID: ${this.cachedTaskGid}`);
+          payload._cachedAsanaTaskGid = this.cachedTaskGid;
+        }
+        
+        // Comments that came from Asana are already on the task, so keep them out of the description
+        const mirrors = await this.state.storage.get('asanaCommentMirrors');
+        if (mirrors) {
+          payload._mirroredCommentIds = Object.values(mirrors);
+        }
+        
+        // Process the event using the unified handler
+        const result = await issueSync.handleEvent(eventType, payload);
+        
+        // Store the task GID if we created/found a task
+        if (result.taskGid && result.taskGid !== this.cachedTaskGid) {
+          this.cachedTaskGid = result.taskGid;
+          await this.state.storage.put('asanaTaskGid', result.taskGid);
+          console.log(`💾 Stored Asana task GID: ${result.taskGid}`);
+        }
+        
+        // Success! Return the result
+        return result;
+        
+      } catch (error) {
+        console.error(`❌ Attempt ${attempt + 1} failed:`, error.message);
+        
+        // The Asana client already retried what it could; a rejected request fails the same way again
+        if (error instanceof AsanaAPIError && error.isClientError) {
+          console.error(`🚫 Asana rejected ${error.method} ${error.path} with ${error.status}, not retrying`);
+          throw error;
+        }
+        
+        // Replaying within the lock won't outlast a rate limit the client already gave up on
+        if ((error instanceof GitHubAPIError || error instanceof AsanaAPIError) && error.retryAfterMs !== null) {
+          console.error(`🚫 Rate limited on ${error.method} ${error.path}, not retrying inside the lock`);
+          throw error;
         }
+        
+        // If this was the last attempt, throw the error
+        if (attempt === maxRetries) {
+          console.error(`🚫 All ${maxRetries + 1} attempts failed. Giving up.`);
+          throw error;
+        }
+        
+        // Wait before retrying
+        const delay = retryDelays[attempt];
+        console.log(`⏳ Retrying in ${delay / 1000} seconds...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async handleTransfer(payload) {
+    const newIssue = payload.changes.new_issue;
+    const newRepository = payload.changes.new_repository;
+    console.log(`🚚 Issue transferred to ${newIssue.html_url}`);
+    
+    let taskGid = this.cachedTaskGid;
+    if (!taskGid) {
+      const issueSync = new IssueSync(new AsanaAPI(this.env.ASANA_PAT), this.env);
+      taskGid = await issueSync.findExistingTaskGid(payload, payload.issue);
+    }
+    
+    const moved = await this.moveTo(newIssue.html_url, taskGid);
+    
+    // Re-sync under the new URL so the URL field and description header follow the issue
+    const newCoordinator = this.env.ISSUE_COORDINATOR.get(this.env.ISSUE_COORDINATOR.idFromName(newIssue.html_url));
+    const response = await newCoordinator.fetch(new Request('https://internal/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        eventType: GithubEventType.ISSUES,
+        payload: { action: 'transferred', issue: newIssue, repository: newRepository },
+        headers: {}
+      })
+    }));
+    const result = await response.json();
+    
+    return { status: 'processed', action: 'transferred', githubUrl: newIssue.html_url, taskGid: result.taskGid || moved.taskGid, result };
+  }
+
+  async ensureMilestoneTask(projectId, milestone) {
+    const task = await ensureMilestoneTask(new AsanaAPI(this.env.ASANA_PAT), projectId, milestone, this.env);
+    return { taskGid: task?.gid || null };
+  }
+
+  async moveTo(githubUrl, fallbackTaskGid = null) {
+    const taskGid = this.cachedTaskGid || fallbackTaskGid;
+    if (!taskGid) {
+      console.log(`ℹ️  No task to move to ${githubUrl}`);
+      return { status: 'skipped', reason: 'no task' };
+    }
+    
+    // Everything tied to the task (subtask, dependency and comment mappings) moves with it;
+    // pending echo markers and processed deliveries belong to the old URL's webhooks
+    const state = Object.fromEntries(await this.state.storage.list());
+    delete state.asanaTaskGid;
+    delete state.pendingGithubState;
+    delete state.processedDeliveries;
+    for (const key of Object.keys(state).filter(key => key.startsWith(ETAG_CACHE_PREFIX))) {
+      delete state[key];
+    }
+    
+    const target = this.env.ISSUE_COORDINATOR.get(this.env.ISSUE_COORDINATOR.idFromName(githubUrl));
+    const response = await target.fetch(new Request('https://internal/migrate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ taskGid, state })
+    }));
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(`Failed to move task ${taskGid} to ${githubUrl}: ${result.error}`);
+    }
+    
+    await this.state.storage.deleteAll();
+    this.cachedTaskGid = null;
+    console.log(`🚚 Moved task ${taskGid} to the coordinator for ${githubUrl}`);
+    
+    return { status: 'moved', taskGid, githubUrl };
+  }
+
+  async adoptMigratedTask(taskGid, state) {
+    return await this.state.blockConcurrencyWhile(async () => {
+      if (this.cachedTaskGid && this.cachedTaskGid !== taskGid) {
+        console.warn(`⚠️  Replacing task ${this.cachedTaskGid} with migrated task ${taskGid}; the former is no longer synced`);
+      }
+      
+      for (const [key, value] of Object.entries(state || {})) {
+        await this.state.storage.put(key, value);
+      }
+      
+      this.cachedTaskGid = taskGid;
+      await this.state.storage.put('asanaTaskGid', taskGid);
+      console.log(`💾 Adopted migrated Asana task GID: ${taskGid}`);
+      
+      return { status: 'migrated', taskGid };
+    });
+  }
+
+  async handleAsanaEvent(eventType, data) {
+    return await this.state.blockConcurrencyWhile(async () => {
+      console.log(`🔄 Processing Asana event: ${eventType} for issue: ${data.githubUrl}`);
+      
+      if (!githubAuthConfigured(this.env)) {
+        console.log('⚠️  No GitHub credentials configured, cannot write Asana changes back to GitHub');
+        return { status: 'skipped', reason: 'no GitHub credentials', taskGid: data.taskGid };
+      }
+      
+      // The task of a deleted issue stays in Asana, but there is nothing left to write to
+      if (await this.state.storage.get('githubIssueDeleted')) {
+        console.log(`ℹ️  ${data.githubUrl} was deleted on GitHub, ignoring Asana change`);
+        return { status: 'skipped', action: eventType, reason: 'issue deleted', taskGid: data.taskGid };
+      }
+      
+      // Remember the task for this issue if we haven't seen it yet
+      if (data.taskGid && data.taskGid !== this.cachedTaskGid) {
+        this.cachedTaskGid = data.taskGid;
+        await this.state.storage.put('asanaTaskGid', data.taskGid);
+        console.log(`💾 Stored Asana task GID: ${data.taskGid}`);
+      }
+      
+      switch (eventType) {
+        case AsanaEventType.TASK_COMPLETED:
+          return await this.syncTaskCompletion(data);
+        case AsanaEventType.STORY_ADDED:
+        case AsanaEventType.STORY_CHANGED:
+        case AsanaEventType.STORY_DELETED:
+          return await this.mirrorAsanaComment(eventType, data);
+        default:
+          throw new Error(`Unsupported Asana event type: ${eventType}`);
       }
     });
   }
 
+  async syncTaskCompletion(data) {
+    const { changed, state } = await syncIssueStateFromTask(this.createGitHubAPI(data.githubUrl), data.githubUrl, data.completed);
+    
+    if (changed) {
+      await this.state.storage.put('pendingGithubState', {
+        state,
+        expiresAt: Date.now() + ASANA_ECHO_TTL_MS
+      });
+    }
+    
+    return { status: 'processed', action: AsanaEventType.TASK_COMPLETED, changed, state, taskGid: data.taskGid };
+  }
+
+  async mirrorAsanaComment(eventType, data) {
+    // Asana story GID -> GitHub comment ID for every comment we've mirrored
+    const mirrors = await this.state.storage.get('asanaCommentMirrors') || {};
+    const commentId = mirrors[data.storyGid];
+    const githubAPI = this.createGitHubAPI(data.githubUrl);
+    
+    // Stories we posted for GitHub comments (COMMENT_SYNC_MODE=stories) must not go back to GitHub
+    const commentStories = await this.state.storage.get('commentStories') || {};
+    if (Object.values(commentStories).includes(data.storyGid)) {
+      console.log(`ℹ️  Asana comment ${data.storyGid} was posted from GitHub, ignoring`);
+      return { status: 'skipped', action: eventType, reason: 'posted from GitHub', taskGid: data.taskGid };
+    }
+    
+    if (eventType === AsanaEventType.STORY_ADDED) {
+      if (commentId) {
+        console.log(`ℹ️  Asana comment ${data.storyGid} is already mirrored as ${commentId}`);
+        return { status: 'skipped', action: eventType, reason: 'already mirrored', commentId, taskGid: data.taskGid };
+      }
+      
+      const comment = await createIssueComment(githubAPI, data.githubUrl, formatMirroredComment(data.authorName, data.text));
+      mirrors[data.storyGid] = comment.id;
+      await this.state.storage.put('asanaCommentMirrors', mirrors);
+      console.log(`💬 Mirrored Asana comment ${data.storyGid} as GitHub comment ${comment.id}`);
+      return { status: 'processed', action: eventType, commentId: comment.id, taskGid: data.taskGid };
+    }
+    
+    if (!commentId) {
+      console.log(`ℹ️  Asana comment ${data.storyGid} was never mirrored, ignoring`);
+      return { status: 'skipped', action: eventType, reason: 'not mirrored', taskGid: data.taskGid };
+    }
+    
+    if (eventType === AsanaEventType.STORY_CHANGED) {
+      await updateIssueComment(githubAPI, data.githubUrl, commentId, formatMirroredComment(data.authorName, data.text));
+      console.log(`✏️  Updated GitHub comment ${commentId} from Asana comment ${data.storyGid}`);
+    } else {
+      await deleteIssueComment(githubAPI, data.githubUrl, commentId);
+      delete mirrors[data.storyGid];
+      await this.state.storage.put('asanaCommentMirrors', mirrors);
+      console.log(`🗑️  Deleted GitHub comment ${commentId} for removed Asana comment ${data.storyGid}`);
+    }
+    
+    return { status: 'processed', action: eventType, commentId, taskGid: data.taskGid };
+  }
+
+  createGitHubAPI(githubUrl) {
+    // Asana events carry no installation, so the client finds the one covering the issue's repository
+    return createGitHubAPI(this.env, parseGithubUrl(githubUrl) || {});
+  }
+
+  async isEchoOfAsanaChange(eventType, payload) {
+    if (eventType !== GithubEventType.ISSUES || !['closed', 'reopened'].includes(payload.action)) {
+      return false;
+    }
+    
+    const pending = await this.state.storage.get('pendingGithubState');
+    if (!pending) {
+      return false;
+    }
+    
+    // The marker is single-use: any later close/reopen is a real GitHub change
+    await this.state.storage.delete('pendingGithubState');
+    return pending.expiresAt > Date.now() && pending.state === payload.issue?.state;
+  }
 
   getIssueUrl(payload) {
     // Extract the GitHub URL from the payload
@@ -93,6 +414,8 @@ export class IssueCoordinator {
       return payload.issue.html_url;
     } else if (payload.pull_request?.html_url) {
       return payload.pull_request.html_url;
+    } else if (payload.milestone?.html_url) {
+      return payload.milestone.html_url;
     }
     return 'unknown';
   }
@@ -1,8 +1,22 @@
 // Main Cloudflare Worker entry point
 import { verifyWebhookSignature } from './lib/util/verify-signature.js';
-import { isSupportedEventType } from './lib/constants.js';
+import { isSupportedEventType, isCiEventType, GithubEventType, BackgroundJobType } from './lib/constants.js';
+import { handleAsanaWebhook } from './lib/asana-webhook.js';
+import { handleCiEvent } from './lib/github-ci-event.js';
+import { handleRepositoryEvent, renameRepositoryTasks } from './lib/github-repository-event.js';
+import { handleInstallationEvent } from './lib/github-installation-event.js';
+import { handleMilestoneDueDateEvent, updateMilestoneDueDates } from './lib/github-milestone-event.js';
+import { milestoneTasksEnabled } from './lib/asana-milestone.js';
+import { importRepository } from './lib/repository-import.js';
+
+// What the IMPORT_QUEUE consumer runs for each job type; repository imports carry no type
+const BACKGROUND_JOBS = {
+  [BackgroundJobType.RENAME_REPOSITORY]: renameRepositoryTasks,
+  [BackgroundJobType.MILESTONE_DUE_DATES]: updateMilestoneDueDates
+};
 
 export { IssueCoordinator } from './durable-objects/issue-coordinator.js';
+export { AsanaWebhookStore } from './durable-objects/asana-webhook-store.js';
 
 export default {
   async fetch(request, env, ctx) {
@@ -13,7 +27,14 @@ export default {
     
     try {
       // Skip signature verification in development (when running locally)
-      const isLocalDev = request.url.includes('localhost') || request.url.includes('127.0.0.1');
+      const { hostname } = new URL(request.url);
+      const isLocalDev = hostname === 'localhost' || hostname === '127.0.0.1';
+      
+      // Asana webhooks are delivered to their own route
+      const { pathname } = new URL(request.url);
+      if (pathname === '/asana' || pathname.startsWith('/asana/')) {
+        return await handleAsanaWebhook(request, env, isLocalDev);
+      }
       
       // Parse the body and verify signature
       let payload;
@@ -37,8 +58,39 @@ export default {
         payload = await request.json();
       }
       
+      // Get the event type from GitHub
+      const eventType = request.headers.get('x-github-event');
+      const deliveryId = request.headers.get('x-github-delivery');
+      console.log(`📨 Received ${eventType} webhook (delivery: ${deliveryId || 'none'})`);
+      
+      // Validate it's a supported event type
+      if (!isSupportedEventType(eventType)) {
+        return new Response(`Unsupported event type: ${eventType}`, { status: 400 });
+      }
+      
+      // CI events carry a commit rather than a PR, and may fan out to several PRs
+      if (isCiEventType(eventType)) {
+        return await handleCiEvent(eventType, payload, env, deliveryId);
+      }
+      
+      // Repository renames touch every task of the repository
+      if (eventType === GithubEventType.REPOSITORY) {
+        return await handleRepositoryEvent(payload, env, ctx, deliveryId);
+      }
+      
+      // Installing the GitHub App on repositories onboards them
+      if (eventType === GithubEventType.INSTALLATION || eventType === GithubEventType.INSTALLATION_REPOSITORIES) {
+        return await handleInstallationEvent(eventType, payload, env, ctx, deliveryId);
+      }
+      
+      // Without milestone tasks, milestones only set the due dates of their issues' tasks
+      if (eventType === GithubEventType.MILESTONE && !milestoneTasksEnabled(env)) {
+        return await handleMilestoneDueDateEvent(payload, env, ctx);
+      }
+      
       // Extract issue/PR URL to determine which Durable Object to use
-      const issueUrl = payload.issue?.html_url || payload.pull_request?.html_url;
+      // (milestone events are coordinated per milestone)
+      const issueUrl = payload.issue?.html_url || payload.pull_request?.html_url || payload.milestone?.html_url;
       if (!issueUrl) {
         return new Response('No issue or PR URL found in webhook', { status: 400 });
       }
@@ -47,14 +99,6 @@ export default {
       const id = env.ISSUE_COORDINATOR.idFromName(issueUrl);
       const durableObject = env.ISSUE_COORDINATOR.get(id);
       
-      // Get the event type from GitHub
-      const eventType = request.headers.get('x-github-event');
-      
-      // Validate it's a supported event type
-      if (!isSupportedEventType(eventType)) {
-        return new Response(`Unsupported event type: ${eventType}`, { status: 400 });
-      }
-      
       // Route the webhook to the Durable Object
       const doRequest = new Request('https://internal/', {
         method: 'POST',
@@ -78,5 +122,20 @@ export default {
         headers: { 'Content-Type': 'application/json' }
       });
     }
+  },
+  
+  // Consumer for IMPORT_QUEUE: repository imports, renames and milestone due date updates
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      const job = message.body;
+      
+      try {
+        await (BACKGROUND_JOBS[job.type] || importRepository)(env, job);
+        message.ack();
+      } catch (error) {
+        console.error(`❌ Background job ${job.type || `import of ${job.owner}/${job.repo}`} failed:`, error.message);
+        message.retry();
+      }
+    }
   }
 };
\ No newline at end of file
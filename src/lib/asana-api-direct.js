@@ -1,5 +1,73 @@
 // Direct Asana API client using fetch for Cloudflare Workers
 
+// Requests that can safely be repeated after a server error; POSTs might have been applied
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+// Rate limits with a longer Retry-After fail the request instead: requests run inside
+// IssueCoordinator's blockConcurrencyWhile, which Cloudflare resets after 30s
+const MAX_RETRY_AFTER_MS = 5000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Error for a failed Asana API request. The message keeps the raw response text, which
+ * callers match on (e.g. xml_parsing_error for rejected html_notes).
+ */
+export class AsanaAPIError extends Error {
+  /**
+   * @param {number|null} status - HTTP status, or null when the request timed out
+   * @param {string} text - Raw response text (or a description of the failure)
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   */
+  constructor(status, text, method, path) {
+    super(`Asana API error: ${status ?? 'timeout'} - ${text}`);
+    this.name = 'AsanaAPIError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.errors = parseAsanaErrors(text);
+    // Set when the request was rate limited (429) and given up on
+    this.retryAfterMs = null;
+  }
+
+  /**
+   * Whether retrying the same request can't help (client errors other than rate limiting)
+   * @returns {boolean}
+   */
+  get isClientError() {
+    return this.status >= 400 && this.status < 500 && this.status !== 429;
+  }
+}
+
+/**
+ * Pull the error messages out of an Asana error body ({ errors: [{ message }] })
+ * @param {string} text - Response text
+ * @returns {Array<string>} Error messages (empty when the body isn't Asana JSON)
+ */
+function parseAsanaErrors(text) {
+  try {
+    return (JSON.parse(text).errors || []).map(error => error.message);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * How long to wait before retrying: Retry-After when Asana sent one, otherwise exponential
+ * backoff with full jitter
+ * @param {Response|null} response - Failed response, if any
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(response, attempt) {
+  const retryAfter = Number(response?.headers.get('Retry-After'));
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  return Math.random() * BASE_RETRY_DELAY_MS * 2 ** attempt;
+}
+
 export class AsanaAPI {
   constructor(accessToken) {
     this.accessToken = accessToken;
@@ -7,7 +75,6 @@ export class AsanaAPI {
   }
 
   async request(method, endpoint, data = null) {
-    const url = `${this.baseUrl}${endpoint}`;
     const options = {
       method,
       headers: {
@@ -22,15 +89,56 @@ export class AsanaAPI {
     }
 
     console.log(`Asana API ${method} ${endpoint}`);
-    const response = await fetch(url, options);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`Asana API error: ${response.status} - ${errorText}`);
-      throw new Error(`Asana API error: ${response.status} - ${errorText}`);
-    }
+    return await this.send(endpoint, options);
+  }
+
+  /**
+   * Send a request, retrying rate-limited requests (429, after a Retry-After of at most
+   * MAX_RETRY_AFTER_MS) and idempotent requests that hit a server error or timed out. Each attempt is aborted after
+   * REQUEST_TIMEOUT_MS.
+   * @param {string} endpoint - API path
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {AsanaAPIError} When the request fails for good
+   */
+  async send(endpoint, options) {
+    const canRetryServerError = IDEMPOTENT_METHODS.includes(options.method);
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+      let response;
+      let error;
+
+      try {
+        response = await fetch(`${this.baseUrl}${endpoint}`, { ...options, signal: controller.signal });
+        if (response.ok) {
+          return await response.json();
+        }
+        error = new AsanaAPIError(response.status, await response.text(), options.method, endpoint);
+      } catch (fetchError) {
+        if (fetchError.name !== 'AbortError') throw fetchError;
+        error = new AsanaAPIError(null, `no response after ${REQUEST_TIMEOUT_MS}ms`, options.method, endpoint);
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      const retriable = error.status === 429 ||
+        (canRetryServerError && (error.status === null || error.status >= 500));
 
-    return await response.json();
+      const delay = retryDelay(response, attempt);
+
+      if (!retriable || attempt === MAX_RETRIES || delay > MAX_RETRY_AFTER_MS) {
+        if (error.status === 429) {
+          error.retryAfterMs = delay;
+        }
+        console.error(error.message);
+        throw error;
+      }
+
+      console.log(`⏳ Asana API ${options.method} ${endpoint} failed with ${error.status ?? 'timeout'}, retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
   }
 
   // Task methods
@@ -40,43 +148,134 @@ export class AsanaAPI {
     return result.data;
   }
 
+  async getTask(taskGid, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    const endpoint = `/tasks/${taskGid}?${params}`;
+    const result = await this.request('GET', endpoint);
+    return result.data;
+  }
+
   async updateTask(taskGid, taskData) {
     const endpoint = `/tasks/${taskGid}`;
     const result = await this.request('PUT', endpoint, taskData);
     return result.data;
   }
 
+  async deleteTask(taskGid) {
+    const endpoint = `/tasks/${taskGid}`;
+    const result = await this.request('DELETE', endpoint);
+    return result.data;
+  }
+
+  async getSubtasksForTask(taskGid, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    const endpoint = `/tasks/${taskGid}/subtasks?${params}`;
+    const result = await this.request('GET', endpoint);
+    return result.data;
+  }
+
+  async createSubtaskForTask(taskGid, taskData) {
+    const endpoint = `/tasks/${taskGid}/subtasks`;
+    const result = await this.request('POST', endpoint, taskData);
+    return result.data;
+  }
+
+  async addDependenciesForTask(taskGid, dependenciesData) {
+    const endpoint = `/tasks/${taskGid}/addDependencies`;
+    const result = await this.request('POST', endpoint, dependenciesData);
+    return result.data;
+  }
+
+  async removeDependenciesForTask(taskGid, dependenciesData) {
+    const endpoint = `/tasks/${taskGid}/removeDependencies`;
+    const result = await this.request('POST', endpoint, dependenciesData);
+    return result.data;
+  }
+
+  async getDependentsForTask(taskGid, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    const endpoint = `/tasks/${taskGid}/dependents?${params}`;
+    const result = await this.request('GET', endpoint);
+    return result.data;
+  }
+
+  async addProjectForTask(taskGid, projectData) {
+    const endpoint = `/tasks/${taskGid}/addProject`;
+    const result = await this.request('POST', endpoint, projectData);
+    return result.data;
+  }
+
+  async addFollowersForTask(taskGid, followersData) {
+    const endpoint = `/tasks/${taskGid}/addFollowers`;
+    const result = await this.request('POST', endpoint, followersData);
+    return result.data;
+  }
+
+  /**
+   * Iterate over every item of a paginated collection, following next_page until it runs out
+   * @param {string} endpoint - Collection path, query string included
+   * @param {number} limit - Page size (Asana only paginates when a limit is given; max 100)
+   * @returns {AsyncGenerator<Object>} Items, one at a time
+   */
+  async *paginate(endpoint, limit = 100) {
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let path = `${endpoint}${separator}limit=${limit}`;
+
+    while (path) {
+      const result = await this.request('GET', path);
+      yield* result.data || [];
+      path = result.next_page?.path || null;
+    }
+  }
+
   async getTasksForProject(projectId, opts = {}) {
     const params = new URLSearchParams();
     if (opts.limit) params.append('limit', opts.limit);
     if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
     
     const endpoint = `/projects/${projectId}/tasks?${params}`;
-    const result = await this.request('GET', endpoint);
-    
-    const api = this; // Capture reference for nextPage method
+    return this.withNextPage(await this.request('GET', endpoint));
+  }
+
+  /**
+   * Wrap a page of results with a nextPage() that fetches the page after it
+   * @param {Object} result - Page as returned by Asana ({ data, next_page })
+   * @returns {Object} { data, next_page, nextPage() }; nextPage() resolves to { data: null } past the end
+   */
+  withNextPage(result) {
+    const api = this;
     
     return {
       data: result.data,
       next_page: result.next_page,
       async nextPage() {
-        if (result.next_page && result.next_page.uri) {
-          const nextUrl = result.next_page.uri.replace('https://app.asana.com/api/1.0', '');
-          const nextResult = await api.request('GET', nextUrl);
-          return {
-            data: nextResult.data,
-            next_page: nextResult.next_page,
-            async nextPage() {
-              // Simplified - just return no more data for now
-              return { data: null };
-            }
-          };
+        if (!result.next_page?.path) {
+          return { data: null };
         }
-        return { data: null };
+        return api.withNextPage(await api.request('GET', result.next_page.path));
       }
     };
   }
 
+  iterateTasksForProject(projectId, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    return this.paginate(`/projects/${projectId}/tasks?${params}`, opts.limit);
+  }
+
+  async addTagForTask(taskGid, tagData) {
+    const endpoint = `/tasks/${taskGid}/addTag`;
+    const result = await this.request('POST', endpoint, tagData);
+    return result.data;
+  }
+
   async getProject(projectId, opts = {}) {
     const params = new URLSearchParams();
     if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
@@ -86,6 +285,52 @@ export class AsanaAPI {
     return result.data;
   }
 
+  // User methods
+  async getUser(userGid, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    const endpoint = `/users/${encodeURIComponent(userGid)}?${params}`;
+    const result = await this.request('GET', endpoint);
+    return result.data;
+  }
+
+  // Section methods
+  async getSectionsForProject(projectId, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    const endpoint = `/projects/${projectId}/sections?${params}`;
+    const result = await this.request('GET', endpoint);
+    return result.data;
+  }
+
+  async createSectionForProject(projectId, sectionData) {
+    const endpoint = `/projects/${projectId}/sections`;
+    const result = await this.request('POST', endpoint, sectionData);
+    return result.data;
+  }
+
+  async addTaskForSection(sectionGid, taskData) {
+    const endpoint = `/sections/${sectionGid}/addTask`;
+    const result = await this.request('POST', endpoint, taskData);
+    return result.data;
+  }
+
+  // Tag methods
+  iterateTagsForWorkspace(workspaceGid, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    return this.paginate(`/workspaces/${workspaceGid}/tags?${params}`, opts.limit);
+  }
+
+  async createTagForWorkspace(workspaceGid, tagData) {
+    const endpoint = `/workspaces/${workspaceGid}/tags`;
+    const result = await this.request('POST', endpoint, tagData);
+    return result.data;
+  }
+
   // Custom field methods
   async getCustomField(customFieldGid, opts = {}) {
     const params = new URLSearchParams();
@@ -110,8 +355,6 @@ export class AsanaAPI {
   }
 
   async createFileAttachment(parentGid, fileBuffer, fileName, contentType) {
-    const url = `${this.baseUrl}/attachments`;
-    
     // Create FormData for multipart upload
     const formData = new FormData();
     formData.append('parent', parentGid);
@@ -131,15 +374,7 @@ export class AsanaAPI {
     };
 
     console.log(`Asana API POST /attachments (file upload: ${fileName})`);
-    const response = await fetch(url, options);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`Asana API error: ${response.status} - ${errorText}`);
-      throw new Error(`Asana API error: ${response.status} - ${errorText}`);
-    }
-
-    const result = await response.json();
+    const result = await this.send('/attachments', options);
     return result.data;
   }
 
@@ -153,6 +388,14 @@ export class AsanaAPI {
     return result;
   }
 
+  iterateAttachmentsForObject(parentGid, opts = {}) {
+    const params = new URLSearchParams();
+    params.append('parent', parentGid);
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    return this.paginate(`/attachments?${params}`, opts.limit);
+  }
+
   // Story methods
   async getStoriesForTask(taskGid, opts = {}) {
     const params = new URLSearchParams();
@@ -164,6 +407,34 @@ export class AsanaAPI {
     return result;
   }
 
+  iterateStoriesForTask(taskGid, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    return this.paginate(`/tasks/${taskGid}/stories?${params}`, opts.limit);
+  }
+
+  async createStoryForTask(taskGid, storyData) {
+    const endpoint = `/tasks/${taskGid}/stories`;
+    const result = await this.request('POST', endpoint, storyData);
+    return result.data;
+  }
+
+  async updateStory(storyGid, storyData) {
+    const endpoint = `/stories/${storyGid}`;
+    const result = await this.request('PUT', endpoint, storyData);
+    return result.data;
+  }
+
+  async getStory(storyGid, opts = {}) {
+    const params = new URLSearchParams();
+    if (opts.opt_fields) params.append('opt_fields', opts.opt_fields);
+    
+    const endpoint = `/stories/${storyGid}?${params}`;
+    const result = await this.request('GET', endpoint);
+    return result.data;
+  }
+
   async deleteStory(storyGid) {
     const endpoint = `/stories/${storyGid}`;
     const result = await this.request('DELETE', endpoint);
@@ -0,0 +1,79 @@
+// Post GitHub comments as Asana comment stories
+import { renderMarkdown } from './util/markdown-to-asana-html.js';
+import { formatLineRange, REVIEW_VERDICTS } from './util/pr-timeline.js';
+
+/**
+ * Whether GitHub comments are posted as Asana comments (COMMENT_SYNC_MODE=stories) rather
+ * than written into the task description
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function commentStoriesEnabled(env) {
+  return env.COMMENT_SYNC_MODE === 'stories';
+}
+
+/**
+ * Key of a GitHub comment in the coordinator's comment -> story map. Conversation comments,
+ * review comments and reviews are numbered separately, so the ID alone can clash.
+ * @param {Object} comment - GitHub comment, review comment or review
+ * @returns {string} e.g. "issue:123", "review:456" or "review-summary:789"
+ */
+export function commentStoryKey(comment) {
+  if (isReview(comment)) {
+    return `review-summary:${comment.id}`;
+  }
+  return `${comment.path ? 'review' : 'issue'}:${comment.id}`;
+}
+
+// Reviews are the only entries with a verdict
+function isReview(comment) {
+  return !!comment.state && 'submitted_at' in comment;
+}
+
+/**
+ * Render a GitHub comment as the html_text of an Asana story
+ * @param {Object} comment - GitHub comment
+ * @param {Object} asanaAPI - Asana API client, for attaching images
+ * @param {string} taskGid - Task the images are attached to
+ * @returns {Promise<string>} Story HTML
+ */
+async function renderCommentStory(comment, asanaAPI, taskGid) {
+  const username = comment.user?.login || 'ghost';
+  // Review comments are about a spot in the diff, and reviews come with a verdict
+  let verb = 'commented';
+  if (isReview(comment)) {
+    verb = REVIEW_VERDICTS[comment.state.toUpperCase()] || 'reviewed';
+  } else if (comment.path) {
+    verb = `commented on \`${comment.path}\`${formatLineRange(comment)}`;
+  }
+  const markdown = `**[@${username}](${comment.html_url})** ${verb} on GitHub:\n\n${comment.body || ''}`;
+  return await renderMarkdown(markdown, { asanaAPI, taskGid });
+}
+
+/**
+ * Create the comment story for a GitHub comment
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task GID
+ * @param {Object} comment - GitHub comment
+ * @returns {Promise<string>} Story GID
+ */
+export async function createCommentStory(asanaAPI, taskGid, comment) {
+  const htmlText = await renderCommentStory(comment, asanaAPI, taskGid);
+  const story = await asanaAPI.createStoryForTask(taskGid, { data: { html_text: htmlText } });
+  console.log(`💬 Posted GitHub comment ${comment.id} as story ${story.gid}`);
+  return story.gid;
+}
+
+/**
+ * Replace the text of a comment story after the GitHub comment was edited
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task GID
+ * @param {string} storyGid - Story GID
+ * @param {Object} comment - GitHub comment
+ * @returns {Promise<void>}
+ */
+export async function updateCommentStory(asanaAPI, taskGid, storyGid, comment) {
+  const htmlText = await renderCommentStory(comment, asanaAPI, taskGid);
+  await asanaAPI.updateStory(storyGid, { data: { html_text: htmlText } });
+  console.log(`✏️  Updated story ${storyGid} from GitHub comment ${comment.id}`);
+}
@@ -0,0 +1,213 @@
+// Sync GitHub milestones to Asana due dates and milestone tasks
+import { findTaskByGithubUrl } from './asana-task-ensure.js';
+
+/**
+ * Whether per-milestone Asana milestone tasks are enabled
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function milestoneTasksEnabled(env) {
+  return env.ASANA_MILESTONE_TASKS === 'true' || env.ASANA_MILESTONE_TASKS === true;
+}
+
+/**
+ * Convert a GitHub milestone due date (ISO timestamp) to an Asana due_on date
+ * @param {Object|null} milestone - GitHub milestone
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+export function milestoneDueOn(milestone) {
+  return milestone?.due_on ? milestone.due_on.slice(0, 10) : null;
+}
+
+/**
+ * Bring an issue/PR task in line with its GitHub milestone: copy the milestone due date
+ * to the task and, when milestone tasks are enabled, make the task depend on the
+ * milestone's Asana milestone task. On `demilestoned` the due date and dependency are removed.
+ * Tasks without a milestone are otherwise left alone so Asana-side due dates survive.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Issue/PR task GID
+ * @param {string} projectId - Asana project ID for milestone tasks
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Object} item - GitHub issue or pull request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function syncTaskMilestone(asanaAPI, taskGid, projectId, payload, item, env) {
+  const milestone = item.milestone;
+  const isDemilestoned = payload.action === 'demilestoned';
+
+  if (!milestone && !isDemilestoned) {
+    return;
+  }
+
+  try {
+    const task = await asanaAPI.getTask(taskGid, { opt_fields: 'due_on,dependencies.gid' });
+    const dependencyGids = (task.dependencies || []).map(dependency => dependency.gid);
+
+    const desiredDueOn = milestone ? milestoneDueOn(milestone) : null;
+    if ((desiredDueOn || isDemilestoned) && task.due_on !== desiredDueOn) {
+      await asanaAPI.updateTask(taskGid, { data: { due_on: desiredDueOn } });
+      console.log(`📅 Set due date of task ${taskGid} to ${desiredDueOn || 'none'}`);
+    }
+
+    if (!milestoneTasksEnabled(env)) {
+      return;
+    }
+
+    // payload.milestone is the milestone that was removed
+    if (isDemilestoned && payload.milestone) {
+      const oldMilestoneTask = await findTaskByGithubUrl(asanaAPI, projectId, payload.milestone.html_url, env);
+      if (oldMilestoneTask && dependencyGids.includes(oldMilestoneTask.gid)) {
+        await asanaAPI.removeDependenciesForTask(taskGid, { data: { dependencies: [oldMilestoneTask.gid] } });
+        console.log(`🔗 Removed milestone dependency ${oldMilestoneTask.gid} from task ${taskGid}`);
+      }
+    }
+
+    if (milestone) {
+      const milestoneTask = await ensureCoordinatedMilestoneTask(asanaAPI, projectId, milestone, env);
+      if (milestoneTask && !dependencyGids.includes(milestoneTask.gid)) {
+        await asanaAPI.addDependenciesForTask(taskGid, { data: { dependencies: [milestoneTask.gid] } });
+        console.log(`🔗 Task ${taskGid} now depends on milestone task ${milestoneTask.gid}`);
+      }
+    }
+
+  } catch (error) {
+    console.error(`❌ Error syncing milestone for task ${taskGid}:`, error.message);
+  }
+}
+
+/**
+ * Find or create the Asana milestone task for a GitHub milestone and keep its name,
+ * due date and completion in sync. Milestone tasks are found through GITHUB_URL_FIELD_ID,
+ * which holds the milestone URL.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} projectId - Asana project ID
+ * @param {Object} milestone - GitHub milestone
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} Milestone task, or null when it can't be tracked
+ */
+export async function ensureMilestoneTask(asanaAPI, projectId, milestone, env) {
+  const githubUrlFieldGid = env.GITHUB_URL_FIELD_ID;
+  if (!githubUrlFieldGid) {
+    console.log('⚠️  No GITHUB_URL_FIELD_ID configured, cannot track milestone tasks');
+    return null;
+  }
+
+  const milestoneData = {
+    name: milestone.title,
+    due_on: milestoneDueOn(milestone),
+    completed: milestone.state === 'closed'
+  };
+
+  const existing = await findTaskByGithubUrl(asanaAPI, projectId, milestone.html_url, env);
+  if (existing) {
+    await asanaAPI.updateTask(existing.gid, { data: milestoneData });
+    return existing;
+  }
+
+  console.log(`🏁 Creating milestone task: ${milestone.title}`);
+  return await asanaAPI.createTask({
+    data: {
+      ...milestoneData,
+      resource_subtype: 'milestone',
+      projects: [projectId],
+      custom_fields: { [githubUrlFieldGid]: milestone.html_url }
+    }
+  });
+}
+
+/**
+ * Find or create the milestone task through the milestone's IssueCoordinator (keyed by the
+ * milestone URL), so issues synced at the same time don't each create one
+ * @param {Object} asanaAPI - Asana API client, used when there are no coordinators
+ * @param {string} projectId - Asana project ID
+ * @param {Object} milestone - GitHub milestone
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object|null>} { gid } of the milestone task, or null when it can't be tracked
+ */
+async function ensureCoordinatedMilestoneTask(asanaAPI, projectId, milestone, env) {
+  if (!env.ISSUE_COORDINATOR) {
+    return await ensureMilestoneTask(asanaAPI, projectId, milestone, env);
+  }
+
+  const coordinator = env.ISSUE_COORDINATOR.get(env.ISSUE_COORDINATOR.idFromName(milestone.html_url));
+  const response = await coordinator.fetch(new Request('https://internal/milestone', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ projectId, milestone })
+  }));
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error);
+  }
+  return result.taskGid ? { gid: result.taskGid } : null;
+}
+
+/**
+ * Handle a `milestone` webhook event: update the milestone task and carry due date
+ * changes over to the tasks that depend on it. Deleted milestones have their task
+ * removed and the due dates they set cleared. Without milestone tasks these events are
+ * handled by handleMilestoneDueDateEvent instead.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} projectId - Asana project ID
+ * @param {Object} payload - GitHub milestone webhook payload
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Result with the milestone task GID
+ */
+export async function handleMilestoneEvent(asanaAPI, projectId, payload, env) {
+  const { action, milestone } = payload;
+
+  if (!milestoneTasksEnabled(env)) {
+    console.log('ℹ️  Milestone tasks are disabled, ignoring milestone event');
+    return { status: 'ignored', action, reason: 'milestone tasks disabled' };
+  }
+
+  if (action === 'deleted') {
+    const milestoneTask = await findTaskByGithubUrl(asanaAPI, projectId, milestone.html_url, env);
+    if (!milestoneTask) {
+      return { status: 'ignored', action, reason: 'no milestone task' };
+    }
+
+    await updateDependentDueDates(asanaAPI, milestoneTask.gid, null);
+    await asanaAPI.deleteTask(milestoneTask.gid);
+    console.log(`🗑️  Deleted milestone task ${milestoneTask.gid}`);
+    return { status: 'processed', action };
+  }
+
+  const milestoneTask = await ensureMilestoneTask(asanaAPI, projectId, milestone, env);
+  if (!milestoneTask) {
+    return { status: 'ignored', action, reason: 'milestone tasks not trackable' };
+  }
+
+  if (action === 'edited' && payload.changes?.due_on) {
+    await updateDependentDueDates(asanaAPI, milestoneTask.gid, milestoneDueOn(milestone));
+  }
+
+  return { status: 'processed', action, taskGid: milestoneTask.gid };
+}
+
+/**
+ * Set the due date on every task that depends on a milestone task
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} milestoneTaskGid - Milestone task GID
+ * @param {string|null} dueOn - New due date (YYYY-MM-DD) or null to clear
+ * @returns {Promise<void>}
+ */
+async function updateDependentDueDates(asanaAPI, milestoneTaskGid, dueOn) {
+  const dependents = await asanaAPI.getDependentsForTask(milestoneTaskGid, { opt_fields: 'gid,due_on' });
+
+  for (const dependent of dependents) {
+    if (dependent.due_on === dueOn) continue;
+
+    try {
+      await asanaAPI.updateTask(dependent.gid, { data: { due_on: dueOn } });
+      console.log(`📅 Set due date of task ${dependent.gid} to ${dueOn || 'none'}`);
+    } catch (error) {
+      console.error(`❌ Error updating due date of task ${dependent.gid}:`, error.message);
+    }
+  }
+}
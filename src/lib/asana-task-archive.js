@@ -0,0 +1,56 @@
+// Archive tasks whose GitHub issue no longer exists
+
+// Tag put on tasks whose issue was deleted on GitHub
+export const DELETED_ISSUE_TAG = 'Deleted on GitHub';
+
+// Tag GIDs by workspace and name, for the isolate lifetime
+const tagCache = new Map();
+
+/**
+ * Find a tag by name in a workspace, creating it if needed
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} workspaceGid - Workspace GID
+ * @param {string} tagName - Tag name (matched case-insensitively)
+ * @returns {Promise<string>} Tag GID
+ */
+export async function ensureTag(asanaAPI, workspaceGid, tagName) {
+  const cacheKey = `${workspaceGid}:${tagName.toLowerCase()}`;
+  if (tagCache.has(cacheKey)) {
+    return tagCache.get(cacheKey);
+  }
+  
+  let tag = null;
+  for await (const existing of asanaAPI.iterateTagsForWorkspace(workspaceGid, { opt_fields: 'gid,name' })) {
+    if (existing.name?.toLowerCase() === tagName.toLowerCase()) {
+      tag = existing;
+      break;
+    }
+  }
+  
+  if (!tag) {
+    tag = await asanaAPI.createTagForWorkspace(workspaceGid, { data: { name: tagName } });
+    console.log(`🏷️  Created tag "${tagName}" (${tag.gid})`);
+  }
+  
+  tagCache.set(cacheKey, tag.gid);
+  return tag.gid;
+}
+
+/**
+ * Tag a task as deleted on GitHub and mark it complete. The task itself is kept, so
+ * whatever was recorded on it in Asana isn't lost.
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task GID
+ * @returns {Promise<void>}
+ */
+export async function archiveDeletedIssueTask(asanaAPI, taskGid) {
+  const task = await asanaAPI.getTask(taskGid, { opt_fields: 'workspace.gid,tags.gid' });
+  const tagGid = await ensureTag(asanaAPI, task.workspace.gid, DELETED_ISSUE_TAG);
+  
+  if (!(task.tags || []).some(tag => tag.gid === tagGid)) {
+    await asanaAPI.addTagForTask(taskGid, { data: { tag: tagGid } });
+  }
+  
+  await asanaAPI.updateTask(taskGid, { data: { completed: true } });
+  console.log(`🗄️  Archived task ${taskGid} for deleted issue`);
+}
@@ -0,0 +1,48 @@
+// Keep the Asana assignee in line with GitHub assignees
+import { toAsanaUser, resolveAsanaUserGid } from './util/identity-map.js';
+
+/**
+ * Set the task assignee to the first GitHub assignee that has an Asana account.
+ * Without `clearWhenUnmapped`, a task is only ever assigned, never unassigned, so that
+ * assignments made in Asana survive unrelated GitHub events.
+ * 
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task GID
+ * @param {Array} assignees - GitHub assignee objects (with `login`)
+ * @param {Object} identityMap - Map from loadIdentityMap
+ * @param {boolean} clearWhenUnmapped - Unassign the task when no assignee maps to Asana
+ * @returns {Promise<string|null>} Asana assignee GID after the sync
+ */
+export async function syncTaskAssignee(asanaAPI, taskGid, assignees, identityMap, clearWhenUnmapped = false) {
+  try {
+    const mappedUser = assignees
+      .map(assignee => toAsanaUser(identityMap, assignee.login))
+      .find(Boolean);
+    
+    const desiredGid = mappedUser ? await resolveAsanaUserGid(asanaAPI, mappedUser) : null;
+    
+    if (!desiredGid && !clearWhenUnmapped) {
+      console.log(`ℹ️  No GitHub assignee maps to an Asana user for task ${taskGid}`);
+      return null;
+    }
+    
+    const task = await asanaAPI.getTask(taskGid, { opt_fields: 'assignee.gid' });
+    const currentGid = task.assignee?.gid || null;
+    
+    if (currentGid === desiredGid) {
+      return currentGid;
+    }
+    
+    await asanaAPI.updateTask(taskGid, { data: { assignee: desiredGid } });
+    console.log(desiredGid
+      ? `👤 Assigned task ${taskGid} to Asana user ${desiredGid}`
+      : `👤 Unassigned task ${taskGid}`);
+    
+    return desiredGid;
+    
+  } catch (error) {
+    // An unmapped or non-member user shouldn't fail the rest of the sync
+    console.error(`❌ Error syncing assignee for task ${taskGid}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,76 @@
+// Update only the CI parts of a pull request task: the CI status field and the failing checks
+import { renderMarkdown } from './util/markdown-to-asana-html.js';
+import { computeCiStatus, formatFailingChecks } from './util/pr-checks.js';
+import { getCustomFieldForProject } from './util/custom-field-helper.js';
+
+// The rendered "Failing Checks" section, as Asana stores it in html_notes
+const FAILING_CHECKS_SECTION = /<hr\s*\/?>\s*<h1>Failing Checks \(\d+\)<\/h1>\s*<ul>[\s\S]*?<\/ul>\s*/;
+// The section goes right before the PR conversation, where a full sync puts it
+const CONVERSATION_HEADING = /<hr\s*\/?>\s*<h1>Conversation<\/h1>/;
+
+/**
+ * Bring a pull request task's CI status field and "Failing Checks" section in line with the
+ * head commit's checks, leaving the rest of the task alone. Much cheaper than a full sync,
+ * which matters because a single push can produce dozens of CI webhooks.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Pull request task GID
+ * @param {Array|null} checks - Checks from getCommitChecks; null (not loaded) changes nothing
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string|null>} The CI status, or null when there is none
+ */
+export async function syncTaskCiStatus(asanaAPI, taskGid, checks, env) {
+  if (!checks) {
+    return null;
+  }
+
+  const ciStatus = computeCiStatus(checks);
+  const data = {};
+
+  if (env.CI_STATUS_FIELD_ID && ciStatus) {
+    const optionGid = await getCustomFieldForProject(asanaAPI, env.CI_STATUS_FIELD_ID, ciStatus);
+    if (optionGid) {
+      data.custom_fields = { [env.CI_STATUS_FIELD_ID]: optionGid };
+    }
+  }
+
+  const task = await asanaAPI.getTask(taskGid, { opt_fields: 'html_notes' });
+  const htmlNotes = replaceFailingChecks(task.html_notes || '<body></body>', await renderFailingChecks(checks));
+  if (htmlNotes !== task.html_notes) {
+    data.html_notes = htmlNotes;
+  }
+
+  if (Object.keys(data).length > 0) {
+    await asanaAPI.updateTask(taskGid, { data });
+    console.log(`🚦 Updated CI status of task ${taskGid} to ${ciStatus || 'none'}`);
+  }
+
+  return ciStatus;
+}
+
+async function renderFailingChecks(checks) {
+  const markdown = formatFailingChecks(checks);
+  if (!markdown) {
+    return '';
+  }
+
+  const html = await renderMarkdown(markdown.trim());
+  return html.replace(/^<body>|<\/body>$/g, '').trim() + '\n';
+}
+
+function replaceFailingChecks(htmlNotes, section) {
+  if (FAILING_CHECKS_SECTION.test(htmlNotes)) {
+    return htmlNotes.replace(FAILING_CHECKS_SECTION, section);
+  }
+
+  if (!section) {
+    return htmlNotes;
+  }
+
+  const conversation = htmlNotes.match(CONVERSATION_HEADING);
+  if (conversation) {
+    return htmlNotes.slice(0, conversation.index) + section + htmlNotes.slice(conversation.index);
+  }
+
+  return htmlNotes.replace(/<\/body>$/, `${section}</body>`);
+}
@@ -0,0 +1,47 @@
+// Link pull requests to the issues they close
+import { markTaskComplete } from './asana-task-completed.js';
+
+/**
+ * Make each closed issue's task depend on the pull request's task.
+ * Issues that were linked on a previous sync but are no longer referenced lose the dependency.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} prTaskGid - Pull request task GID
+ * @param {Array<string>} issueTaskGids - Tasks of the issues the PR closes
+ * @param {Array<string>|null} previous - Issue tasks linked last time, or null if unknown
+ * @returns {Promise<void>}
+ */
+export async function syncClosingIssueDependencies(asanaAPI, prTaskGid, issueTaskGids, previous) {
+  for (const issueTaskGid of issueTaskGids) {
+    const task = await asanaAPI.getTask(issueTaskGid, { opt_fields: 'dependencies.gid' });
+    if ((task.dependencies || []).some(dependency => dependency.gid === prTaskGid)) continue;
+    
+    await asanaAPI.addDependenciesForTask(issueTaskGid, { data: { dependencies: [prTaskGid] } });
+    console.log(`🔗 Issue task ${issueTaskGid} now depends on PR task ${prTaskGid}`);
+  }
+  
+  for (const issueTaskGid of previous || []) {
+    if (issueTaskGids.includes(issueTaskGid)) continue;
+    
+    try {
+      await asanaAPI.removeDependenciesForTask(issueTaskGid, { data: { dependencies: [prTaskGid] } });
+      console.log(`🔗 Removed PR dependency ${prTaskGid} from issue task ${issueTaskGid}`);
+    } catch (error) {
+      // The issue task may have been deleted in the meantime
+      console.error(`❌ Error unlinking issue task ${issueTaskGid}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Complete the tasks of the issues a merged pull request closes
+ * @param {Object} asanaAPI - Asana API client
+ * @param {Array<string>} issueTaskGids - Tasks of the issues the PR closes
+ * @returns {Promise<void>}
+ */
+export async function completeClosingIssueTasks(asanaAPI, issueTaskGids) {
+  for (const issueTaskGid of issueTaskGids) {
+    await markTaskComplete(asanaAPI, true, issueTaskGid);
+    console.log(`✅ Completed issue task ${issueTaskGid} closed by merged PR`);
+  }
+}
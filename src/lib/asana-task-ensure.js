@@ -1,10 +1,14 @@
 // Ensure Asana task exists with proper configuration
-import { getCustomFieldForProject, getMultiEnumOptionsForField } from "./util/custom-field-helper.js";
+import { getCustomFieldForProject, getMultiEnumOptionsForField, getCustomFieldSubtype } from "./util/custom-field-helper.js";
+import { loadIdentityMap, toAsanaUser, resolveAsanaUserGid } from "./util/identity-map.js";
+import { loadSectionRules, resolveSectionName } from "./util/section-rules.js";
+import { ensureTaskInSection } from "./asana-task-section.js";
 
 /**
  * Ensure a task exists in Asana with proper custom fields configured.
  * This function will look up existing tasks by GitHub URL, create a new task if needed,
- * and always ensure all custom fields are properly set.
+ * and always ensure all custom fields are properly set and the task sits in the section
+ * chosen by the ASANA_SECTION_RULES rule set.
  * 
  * @param {Object} asanaAPI - Asana API client
  * @param {string} projectId - Asana project ID  
@@ -17,9 +21,12 @@ import { getCustomFieldForProject, getMultiEnumOptionsForField } from "./util/cu
  * @param {string} taskName - Name for the task
  * @param {string} cachedTaskGid - Cached task GID from Durable Object
  * @param {string} mergeStatus - Merge status for PRs: "open", "merged", or "unmerged"
+ * @param {string} sectionId - Section to place newly created tasks in (from the routing table)
+ * @param {string} githubState - GitHub state for section rules: "open", "closed", or "merged"
+ * @param {Object} prStatuses - PR status field values, e.g. { review: "approved", ci: "success" }
  * @returns {Promise<Object>} Asana task object with gid
  */
-export async function ensureTaskExists(asanaAPI, projectId, githubUrl, repository, creator, env, type = 'Issue', labels = [], taskName = '', cachedTaskGid = null, mergeStatus = null) {
+export async function ensureTaskExists(asanaAPI, projectId, githubUrl, repository, creator, env, type = 'Issue', labels = [], taskName = '', cachedTaskGid = null, mergeStatus = null, sectionId = null, githubState = null, prStatuses = {}) {
   try {
     console.log(`🔍 Ensuring task exists for: ${githubUrl}`);
     
@@ -45,14 +52,24 @@ export async function ensureTaskExists(asanaAPI, projectId, githubUrl, repositor
     
     // If we have an existing task, update its custom fields
     if (existingTask) {
-      await updateTaskCustomFields(asanaAPI, existingTask.gid, repository, creator, githubUrl, env, type, labels, mergeStatus);
+      // The routing table may have changed since the task was created
+      if (existingTask.projectGids && !existingTask.projectGids.includes(projectId)) {
+        console.log(`🧭 Adding task ${existingTask.gid} to routed project ${projectId}`);
+        await asanaAPI.addProjectForTask(existingTask.gid, {
+          data: { project: projectId, ...(sectionId ? { section: sectionId } : {}) }
+        });
+      }
+      
+      await updateTaskCustomFields(asanaAPI, existingTask.gid, repository, creator, githubUrl, env, type, labels, mergeStatus, prStatuses);
+      await applySectionRules(asanaAPI, projectId, existingTask.gid, env, type, githubState, labels);
       return existingTask;
     }
     
     // Create new task if not found
     console.log(`📝 Creating new task: ${taskName}`);
-    const newTask = await createTaskWithCustomFields(asanaAPI, projectId, repository, creator, githubUrl, env, type, labels, taskName, mergeStatus);
+    const newTask = await createTaskWithCustomFields(asanaAPI, projectId, repository, creator, githubUrl, env, type, labels, taskName, mergeStatus, sectionId, prStatuses);
     console.log(`✅ Created new task: ${newTask.gid}`);
+    await applySectionRules(asanaAPI, projectId, newTask.gid, env, type, githubState, labels);
     
     return newTask;
     
@@ -62,6 +79,37 @@ export async function ensureTaskExists(asanaAPI, projectId, githubUrl, repositor
   }
 }
 
+/**
+ * Move the task into the section picked by the configured section rules, if any rule matches
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} projectId - Asana project ID
+ * @param {string} taskGid - Task GID
+ * @param {Object} env - Environment variables
+ * @param {string} type - Issue type ('Issue' or 'PR')
+ * @param {string} githubState - "open", "closed", or "merged"
+ * @param {Array} labels - GitHub labels
+ * @returns {Promise<void>}
+ */
+async function applySectionRules(asanaAPI, projectId, taskGid, env, type, githubState, labels) {
+  const rules = loadSectionRules(env);
+  if (rules.length === 0 || !githubState) {
+    return;
+  }
+  
+  const sectionName = resolveSectionName(rules, { type, state: githubState, labels });
+  if (!sectionName) {
+    console.log(`ℹ️  No section rule matched for task ${taskGid}`);
+    return;
+  }
+  
+  try {
+    await ensureTaskInSection(asanaAPI, projectId, taskGid, sectionName);
+  } catch (error) {
+    // Section placement is cosmetic; don't fail the sync over it
+    console.error(`❌ Error moving task ${taskGid} to section "${sectionName}":`, error.message);
+  }
+}
+
 /**
  * Verify that a task still exists in Asana
  * @param {Object} asanaAPI - Asana API client
@@ -72,12 +120,13 @@ async function verifyTaskExists(asanaAPI, taskGid) {
   try {
     console.log(`🔍 Verifying task exists: ${taskGid}`);
     const task = await asanaAPI.getTask(taskGid, {
-      opt_fields: 'gid,name'
+      opt_fields: 'gid,name,memberships.project.gid'
     });
     
     if (task && task.gid) {
       console.log(`✅ Task verified: ${task.name}`);
-      return { gid: task.gid, name: task.name };
+      const projectGids = (task.memberships || []).map(membership => membership.project?.gid).filter(Boolean);
+      return { gid: task.gid, name: task.name, projectGids };
     }
   } catch (error) {
     // Task doesn't exist or API error
@@ -95,7 +144,7 @@ async function verifyTaskExists(asanaAPI, taskGid) {
  * @param {Object} env - Environment variables
  * @returns {Promise<Object|null>} Existing task or null if not found
  */
-async function findTaskByGithubUrl(asanaAPI, projectId, githubUrl, env) {
+export async function findTaskByGithubUrl(asanaAPI, projectId, githubUrl, env) {
   try {
     const githubUrlFieldGid = env.GITHUB_URL_FIELD_ID;
     
@@ -106,24 +155,17 @@ async function findTaskByGithubUrl(asanaAPI, projectId, githubUrl, env) {
     
     console.log(`🔍 Searching for existing task with GitHub URL: ${githubUrl}`);
     
-    // Get all tasks in the project
     const opts = {
-      project: projectId,
       opt_fields: 'gid,name,custom_fields.gid,custom_fields.text_value',
       limit: 100
     };
     
-    const tasksResponse = await asanaAPI.getTasksForProject(projectId, opts);
-    
-    // Search through tasks for matching GitHub URL
-    for (const task of tasksResponse.data) {
-      if (task.custom_fields) {
-        for (const field of task.custom_fields) {
-          if (field.gid === githubUrlFieldGid && field.text_value === githubUrl) {
-            console.log(`✅ Found existing task by GitHub URL: ${task.gid} - ${task.name}`);
-            return task;
-          }
-        }
+    // Search through every task in the project for a matching GitHub URL
+    for await (const task of asanaAPI.iterateTasksForProject(projectId, opts)) {
+      const field = task.custom_fields?.find(field => field.gid === githubUrlFieldGid);
+      if (field?.text_value === githubUrl) {
+        console.log(`✅ Found existing task by GitHub URL: ${task.gid} - ${task.name}`);
+        return task;
       }
     }
     
@@ -148,15 +190,19 @@ async function findTaskByGithubUrl(asanaAPI, projectId, githubUrl, env) {
  * @param {Array} labels - GitHub labels
  * @param {string} taskName - Task name
  * @param {string} mergeStatus - Merge status for PRs, either "merged" or "unmerged"
+ * @param {string} sectionId - Optional section to create the task in
+ * @param {Object} prStatuses - PR status field values
  * @returns {Promise<Object>} Created task object
  */
-async function createTaskWithCustomFields(asanaAPI, projectId, repository, creator, githubUrl, env, type, labels, taskName, mergeStatus) {
-  const customFields = await buildCustomFields(repository, creator, githubUrl, env, type, labels, asanaAPI, mergeStatus);
+async function createTaskWithCustomFields(asanaAPI, projectId, repository, creator, githubUrl, env, type, labels, taskName, mergeStatus, sectionId, prStatuses) {
+  const customFields = await buildCustomFields(repository, creator, githubUrl, env, type, labels, asanaAPI, mergeStatus, prStatuses);
   
   const taskData = {
     data: {
       name: taskName,
-      projects: [projectId],
+      ...(sectionId
+        ? { memberships: [{ project: projectId, section: sectionId }] }
+        : { projects: [projectId] }),
       ...(Object.keys(customFields).length > 0 ? { custom_fields: customFields } : {})
     }
   };
@@ -181,13 +227,14 @@ async function createTaskWithCustomFields(asanaAPI, projectId, repository, creat
  * @param {string} type - Issue type
  * @param {Array} labels - GitHub labels
  * @param {string} mergeStatus - Merge status for PRs, either "merged" or "unmerged"
+ * @param {Object} prStatuses - PR status field values
  * @returns {Promise<void>}
  */
-async function updateTaskCustomFields(asanaAPI, taskGid, repository, creator, githubUrl, env, type, labels, mergeStatus) {
+async function updateTaskCustomFields(asanaAPI, taskGid, repository, creator, githubUrl, env, type, labels, mergeStatus, prStatuses) {
   try {
     console.log(`🔧 Updating custom fields for task: ${taskGid}`);
     
-    const customFields = await buildCustomFields(repository, creator, githubUrl, env, type, labels, asanaAPI, mergeStatus);
+    const customFields = await buildCustomFields(repository, creator, githubUrl, env, type, labels, asanaAPI, mergeStatus, prStatuses);
     
     if (Object.keys(customFields).length > 0) {
       const updateData = {
@@ -218,15 +265,18 @@ async function updateTaskCustomFields(asanaAPI, taskGid, repository, creator, gi
  * @param {Array} labels - GitHub labels
  * @param {Object} asanaAPI - Asana API client
  * @param {string} mergeStatus - Merge status for PRs, either "merged" or "unmerged"
+ * @param {Object} prStatuses - PR status field values, e.g. { review: "approved", ci: "success" }
  * @returns {Promise<Object>} Custom fields object
  */
-async function buildCustomFields(repository, creator, githubUrl, env, type, labels, asanaAPI, mergeStatus) {
+async function buildCustomFields(repository, creator, githubUrl, env, type, labels, asanaAPI, mergeStatus, prStatuses = {}) {
   const repositoryFieldGid = env.REPOSITORY_FIELD_ID;
   const creatorFieldGid = env.CREATOR_FIELD_ID;
   const githubUrlFieldGid = env.GITHUB_URL_FIELD_ID;
   const issueTypeFieldGid = env.ISSUE_TYPE_FIELD_ID;
   const labelsFieldGid = env.LABELS_FIELD_ID;
   const mergeStatusFieldGid = env.MERGE_STATUS_FIELD_ID;
+  const reviewStatusFieldGid = env.REVIEW_STATUS_FIELD_ID;
+  const ciStatusFieldGid = env.CI_STATUS_FIELD_ID;
   
   let customFields = {};
   
@@ -243,10 +293,25 @@ async function buildCustomFields(repository, creator, githubUrl, env, type, labe
     }
   }
   
-  // Add creator field if configured
+  // Add creator field if configured (a people field when the creator has an Asana account, text otherwise)
   if (creatorFieldGid && creator) {
-    customFields[creatorFieldGid] = `@${creator}`;
-    console.log(`✅ Set creator field: @${creator}`);
+    try {
+      const creatorFieldSubtype = await getCustomFieldSubtype(asanaAPI, creatorFieldGid);
+      if (creatorFieldSubtype === 'people') {
+        const asanaUser = toAsanaUser(loadIdentityMap(env), creator);
+        if (asanaUser) {
+          customFields[creatorFieldGid] = [await resolveAsanaUserGid(asanaAPI, asanaUser)];
+          console.log(`✅ Set creator field: @${creator} -> ${asanaUser}`);
+        } else {
+          console.log(`ℹ️  No Asana user mapped for @${creator}, leaving creator field unset`);
+        }
+      } else {
+        customFields[creatorFieldGid] = `@${creator}`;
+        console.log(`✅ Set creator field: @${creator}`);
+      }
+    } catch (error) {
+      console.error('❌ Error with creator custom field:', error.message);
+    }
   }
   
   // Add GitHub URL field if configured
@@ -296,5 +361,31 @@ async function buildCustomFields(repository, creator, githubUrl, env, type, labe
     }
   }
   
+  // Add Review Status field if configured and this is a PR
+  if (reviewStatusFieldGid && prStatuses.review && type === 'PR') {
+    try {
+      const optionGid = await getCustomFieldForProject(asanaAPI, reviewStatusFieldGid, prStatuses.review);
+      if (optionGid) {
+        customFields[reviewStatusFieldGid] = optionGid;
+        console.log(`✅ Set review status field: ${prStatuses.review}`);
+      }
+    } catch (error) {
+      console.error('❌ Error with review status custom field:', error.message);
+    }
+  }
+  
+  // Add CI Status field if configured and this is a PR with checks
+  if (ciStatusFieldGid && prStatuses.ci && type === 'PR') {
+    try {
+      const optionGid = await getCustomFieldForProject(asanaAPI, ciStatusFieldGid, prStatuses.ci);
+      if (optionGid) {
+        customFields[ciStatusFieldGid] = optionGid;
+        console.log(`✅ Set CI status field: ${prStatuses.ci}`);
+      }
+    } catch (error) {
+      console.error('❌ Error with CI status custom field:', error.message);
+    }
+  }
+  
   return customFields;
 }
\ No newline at end of file
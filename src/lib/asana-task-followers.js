@@ -0,0 +1,48 @@
+// Add GitHub participants with Asana accounts as task followers
+import { toAsanaUser, resolveAsanaUserGid } from './util/identity-map.js';
+
+/**
+ * Add every mapped participant as a follower of the task so they get Asana notifications.
+ * Followers are only ever added, never removed.
+ * 
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task GID
+ * @param {Array<string>} logins - GitHub logins of the participants
+ * @param {Object} identityMap - Map from loadIdentityMap
+ * @returns {Promise<Array<string>>} GIDs of the followers that were added
+ */
+export async function addTaskFollowers(asanaAPI, taskGid, logins, identityMap) {
+  try {
+    const followerGids = [];
+    for (const login of logins) {
+      const asanaUser = toAsanaUser(identityMap, login);
+      if (!asanaUser) continue;
+      
+      try {
+        followerGids.push(await resolveAsanaUserGid(asanaAPI, asanaUser));
+      } catch (error) {
+        console.error(`❌ Could not resolve Asana user for @${login}:`, error.message);
+      }
+    }
+    
+    if (followerGids.length === 0) {
+      return [];
+    }
+    
+    const task = await asanaAPI.getTask(taskGid, { opt_fields: 'followers.gid' });
+    const currentFollowers = new Set((task.followers || []).map(follower => follower.gid));
+    const newFollowers = [...new Set(followerGids)].filter(gid => !currentFollowers.has(gid));
+    
+    if (newFollowers.length === 0) {
+      return [];
+    }
+    
+    await asanaAPI.addFollowersForTask(taskGid, { data: { followers: newFollowers } });
+    console.log(`👥 Added ${newFollowers.length} followers to task ${taskGid}`);
+    return newFollowers;
+    
+  } catch (error) {
+    console.error(`❌ Error adding followers to task ${taskGid}:`, error.message);
+    return [];
+  }
+}
@@ -0,0 +1,53 @@
+// Move Asana tasks into named sections, creating the sections when needed
+
+/**
+ * Make sure a task sits in the named section of a project.
+ * The section is created at the end of the project if it doesn't exist yet.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} projectId - Asana project ID
+ * @param {string} taskGid - Task GID to move
+ * @param {string} sectionName - Name of the section
+ * @returns {Promise<string>} GID of the section the task is in
+ */
+export async function ensureTaskInSection(asanaAPI, projectId, taskGid, sectionName) {
+  const section = await findOrCreateSection(asanaAPI, projectId, sectionName);
+  
+  const task = await asanaAPI.getTask(taskGid, {
+    opt_fields: 'memberships.project.gid,memberships.section.gid'
+  });
+  
+  const alreadyPlaced = (task.memberships || []).some(
+    membership => membership.project?.gid === projectId && membership.section?.gid === section.gid
+  );
+  
+  if (alreadyPlaced) {
+    console.log(`ℹ️  Task ${taskGid} is already in section "${sectionName}"`);
+    return section.gid;
+  }
+  
+  await asanaAPI.addTaskForSection(section.gid, { data: { task: taskGid } });
+  console.log(`📂 Moved task ${taskGid} to section "${sectionName}"`);
+  return section.gid;
+}
+
+/**
+ * Find a section by name (case-insensitive), creating it if missing
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} projectId - Asana project ID
+ * @param {string} sectionName - Name of the section
+ * @returns {Promise<Object>} Section object with gid
+ */
+export async function findOrCreateSection(asanaAPI, projectId, sectionName) {
+  const sections = await asanaAPI.getSectionsForProject(projectId, { opt_fields: 'gid,name' });
+  
+  const existing = sections.find(
+    section => section.name.trim().toLowerCase() === sectionName.trim().toLowerCase()
+  );
+  if (existing) {
+    return existing;
+  }
+  
+  console.log(`📂 Creating section "${sectionName}" in project ${projectId}`);
+  return await asanaAPI.createSectionForProject(projectId, { data: { name: sectionName } });
+}
@@ -0,0 +1,61 @@
+// Turn GitHub task-list items into Asana subtasks
+import { matchTaskListItems } from './util/task-list.js';
+
+/**
+ * Whether task-list items should be synced as subtasks
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function taskListSubtasksEnabled(env) {
+  return env.TASK_LIST_SUBTASKS === 'true' || env.TASK_LIST_SUBTASKS === true;
+}
+
+/**
+ * Create, update and delete subtasks so they mirror the issue's top-level task list.
+ * GitHub is the source of truth: names and completion are overwritten on every sync.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Parent task GID
+ * @param {Array<Object>} items - Current task-list items as { text, checked }
+ * @param {Array<Object>|null} previous - Items synced last time as { text, gid }, or null if unknown
+ * @returns {Promise<Array<Object>>} The new item -> subtask mapping as { text, gid }
+ */
+export async function syncTaskListSubtasks(asanaAPI, taskGid, items, previous) {
+  const subtasks = await asanaAPI.getSubtasksForTask(taskGid, { opt_fields: 'gid,name,completed' });
+  const subtasksByGid = new Map(subtasks.map(subtask => [subtask.gid, subtask]));
+  
+  // Without a stored mapping, adopt existing subtasks whose names match an item exactly;
+  // anything else under the task was created in Asana and is left alone
+  const itemTexts = new Set(items.map(item => item.text));
+  const known = (previous || subtasks
+    .filter(subtask => itemTexts.has(subtask.name))
+    .map(subtask => ({ text: subtask.name, gid: subtask.gid })))
+    .filter(prev => subtasksByGid.has(prev.gid)); // drop subtasks deleted in Asana
+  
+  const { matched, created, removed } = matchTaskListItems(known, items);
+  const gidsByItem = new Map();
+  
+  for (const { item, gid } of matched) {
+    const subtask = subtasksByGid.get(gid);
+    if (subtask.name !== item.text || subtask.completed !== item.checked) {
+      await asanaAPI.updateTask(gid, { data: { name: item.text, completed: item.checked } });
+      console.log(`☑️  Updated subtask ${gid}: ${item.text}`);
+    }
+    gidsByItem.set(item, gid);
+  }
+  
+  for (const item of created) {
+    const subtask = await asanaAPI.createSubtaskForTask(taskGid, {
+      data: { name: item.text, completed: item.checked }
+    });
+    console.log(`☑️  Created subtask ${subtask.gid}: ${item.text}`);
+    gidsByItem.set(item, subtask.gid);
+  }
+  
+  for (const prev of removed) {
+    await asanaAPI.deleteTask(prev.gid);
+    console.log(`🗑️  Deleted subtask ${prev.gid}: ${prev.text}`);
+  }
+  
+  return items.map(item => ({ text: item.text, gid: gidsByItem.get(item) }));
+}
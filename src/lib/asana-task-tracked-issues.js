@@ -0,0 +1,123 @@
+// Turn issues tracked in a task list into Asana task dependencies
+import { parseIssueReference } from './util/issue-references.js';
+import { GithubEventType } from './constants.js';
+import { createGitHubAPI } from './github-app-auth.js';
+
+/**
+ * Whether issues tracked in task lists should become task dependencies
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function trackedIssueDependenciesEnabled(env) {
+  return env.TRACKED_ISSUE_DEPENDENCIES === 'true' || env.TRACKED_ISSUE_DEPENDENCIES === true;
+}
+
+/**
+ * Predicate for task-list items that track another issue, so they can be kept out of
+ * subtasks. Returns null when tracked issues aren't synced as dependencies.
+ * @param {Object} env - Environment variables
+ * @param {string} owner - Owner of the repository the issue lives in
+ * @param {string} repo - Repository the issue lives in
+ * @returns {Function|null} (itemText) => boolean
+ */
+export function trackedIssueItemFilter(env, owner, repo) {
+  if (!trackedIssueDependenciesEnabled(env)) return null;
+  return text => !!parseIssueReference(text, owner, repo);
+}
+
+/**
+ * Make a task depend on exactly the tasks of the issues it tracks.
+ * Dependencies added on a previous sync that are no longer tracked are removed; other
+ * dependencies (milestones, ones added in Asana) are left alone.
+ *
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task of the tracking issue
+ * @param {Array<string>} dependencyGids - Tasks of the tracked issues
+ * @param {Array<string>|null} previous - Dependencies added last time, or null if unknown
+ * @returns {Promise<void>}
+ */
+export async function syncTrackedIssueDependencies(asanaAPI, taskGid, dependencyGids, previous) {
+  const task = await asanaAPI.getTask(taskGid, { opt_fields: 'dependencies.gid' });
+  const existing = new Set((task.dependencies || []).map(dependency => dependency.gid));
+  
+  const toAdd = dependencyGids.filter(gid => !existing.has(gid));
+  const toRemove = (previous || []).filter(gid => existing.has(gid) && !dependencyGids.includes(gid));
+  
+  if (toAdd.length > 0) {
+    await asanaAPI.addDependenciesForTask(taskGid, { data: { dependencies: toAdd } });
+    console.log(`🔗 Task ${taskGid} now depends on tracked issue tasks ${toAdd.join(', ')}`);
+  }
+  
+  if (toRemove.length > 0) {
+    await asanaAPI.removeDependenciesForTask(taskGid, { data: { dependencies: toRemove } });
+    console.log(`🔗 Removed untracked issue dependencies ${toRemove.join(', ')} from task ${taskGid}`);
+  }
+}
+
+/**
+ * Get the Asana task GID for a referenced issue or pull request, creating the task if needed.
+ *
+ * Inside the worker the referenced issue's own IssueCoordinator is asked first, which is
+ * cheap when it already knows its task. Otherwise the issue is synced as if it had just
+ * been opened. The synthetic event is flagged so the referenced issue does not follow its
+ * own references (tracked issues, closed issues) in turn, which could loop back to the caller.
+ *
+ * @param {Object} ref - Reference as { owner, repo, number }
+ * @param {Object} env - Environment variables and bindings
+ * @param {Function} syncLocally - (eventType, payload) => result; used when there are no
+ *   Durable Objects (e.g. bulk imports)
+ * @param {Object} options - { cache }: storage for GitHub ETags, usually the caller's coordinator's
+ * @returns {Promise<Object|null>} { taskGid, githubUrl } or null if no task could be made
+ */
+export async function ensureTaskForReference(ref, env, syncLocally, { cache = null } = {}) {
+  const { owner, repo, number } = ref;
+  // The referenced repository may belong to another app installation
+  const githubAPI = createGitHubAPI(env, { owner, repo }, { cache });
+  
+  // The issues endpoint serves pull requests too, and tells us which one this is
+  let item = await githubAPI.getIssue(owner, repo, number);
+  const isPullRequest = !!item.pull_request;
+  if (isPullRequest) {
+    item = await githubAPI.getPullRequest(owner, repo, number);
+  }
+  
+  const githubUrl = item.html_url;
+  const coordinator = env.ISSUE_COORDINATOR
+    ? env.ISSUE_COORDINATOR.get(env.ISSUE_COORDINATOR.idFromName(githubUrl))
+    : null;
+  
+  if (coordinator) {
+    const cached = await (await coordinator.fetch(new Request('https://internal/task'))).json();
+    if (cached.taskGid) {
+      return { taskGid: cached.taskGid, githubUrl };
+    }
+  }
+  
+  const eventType = isPullRequest ? GithubEventType.PULL_REQUEST : GithubEventType.ISSUES;
+  const payload = {
+    action: 'opened',
+    [isPullRequest ? 'pull_request' : 'issue']: item,
+    repository: {
+      name: repo,
+      full_name: `${owner}/${repo}`,
+      owner: { login: owner }
+    },
+    _skipReferences: true
+  };
+  
+  console.log(`🔗 Syncing tracked ${isPullRequest ? 'PR' : 'issue'} ${githubUrl} to get its task`);
+  
+  let result;
+  if (coordinator) {
+    const response = await coordinator.fetch(new Request('https://internal/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ eventType, payload, headers: {} })
+    }));
+    result = await response.json();
+  } else {
+    result = await syncLocally(eventType, payload);
+  }
+  
+  return result.taskGid ? { taskGid: result.taskGid, githubUrl } : null;
+}
@@ -0,0 +1,244 @@
+// Handle webhook deliveries from Asana and route them to the owning IssueCoordinator
+import { AsanaAPI } from './asana-api-direct.js';
+import { AsanaEventType } from './constants.js';
+import { parseGithubUrl } from './util/github-url.js';
+import { verifyAsanaSignature, verifyWebhookKey } from './util/verify-signature.js';
+
+/**
+ * Process an Asana webhook delivery.
+ * Handles the X-Hook-Secret handshake, verifies X-Hook-Signature on every other delivery,
+ * and acts on task completion changes and task comments; everything else is acknowledged
+ * and ignored.
+ *
+ * Each webhook is registered against its own target, /asana/<key>, and its secret is
+ * stored under that key. Handshakes are only accepted for keys signed with
+ * ASANA_WEBHOOK_KEY_SECRET, so nobody else can register a secret of their own.
+ *
+ * @param {Request} request - Incoming Asana webhook request
+ * @param {Object} env - Environment variables and bindings
+ * @param {boolean} skipVerification - Skip signature checks (local development)
+ * @returns {Promise<Response>} Response for Asana
+ */
+export async function handleAsanaWebhook(request, env, skipVerification = false) {
+  const webhookKey = getWebhookKey(request);
+  const secretStore = env.ASANA_WEBHOOK_STORE.get(env.ASANA_WEBHOOK_STORE.idFromName(webhookKey));
+  
+  // Handshake: Asana sends the secret once, when the webhook is created, and expects it echoed back
+  const hookSecret = request.headers.get('x-hook-secret');
+  if (hookSecret) {
+    if (!skipVerification && !await verifyWebhookKey(webhookKey, env.ASANA_WEBHOOK_KEY_SECRET)) {
+      console.error(`❌ Rejected Asana handshake for unregistered webhook ${webhookKey}`);
+      return new Response('Unknown webhook', { status: 403 });
+    }
+    
+    const stored = await secretStore.fetch(new Request('https://internal/secret', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ secret: hookSecret })
+    }));
+    
+    if (!stored.ok) {
+      console.error(`❌ Rejected Asana handshake for webhook ${webhookKey}: ${stored.status}`);
+      return new Response('Handshake rejected', { status: stored.status });
+    }
+    
+    console.log(`🤝 Completed Asana webhook handshake for ${webhookKey}`);
+    return new Response(null, { status: 200, headers: { 'X-Hook-Secret': hookSecret } });
+  }
+  
+  const body = await request.text();
+  
+  if (!skipVerification) {
+    const signature = request.headers.get('x-hook-signature');
+    if (!signature) {
+      return new Response('Missing signature', { status: 401 });
+    }
+    
+    const { secret } = await (await secretStore.fetch(new Request('https://internal/secret'))).json();
+    if (!secret) {
+      console.error(`❌ No secret stored for Asana webhook ${webhookKey}`);
+      return new Response('Unknown webhook', { status: 401 });
+    }
+    
+    const isValid = await verifyAsanaSignature(body, signature, secret);
+    if (!isValid) {
+      return new Response('Invalid signature', { status: 401 });
+    }
+  }
+  
+  const { events = [] } = JSON.parse(body);
+
+  // Asana batches events, so the same task can show up more than once per delivery
+  const completedTaskGids = new Set(
+    events
+      .filter(event => event.resource?.resource_type === 'task' && event.change?.field === 'completed')
+      .map(event => event.resource.gid)
+  );
+
+  const commentEvents = events.filter(event =>
+    event.resource?.resource_type === 'story' &&
+    event.resource?.resource_subtype === 'comment_added' &&
+    STORY_EVENT_TYPES[event.action]
+  );
+
+  const asanaAPI = new AsanaAPI(env.ASANA_PAT);
+  const results = [];
+
+  for (const taskGid of completedTaskGids) {
+    try {
+      results.push(await routeTaskCompletion(asanaAPI, taskGid, env));
+    } catch (error) {
+      console.error(`❌ Error handling Asana completion for task ${taskGid}:`, error.message);
+      results.push({ taskGid, status: 'error', message: error.message });
+    }
+  }
+
+  for (const event of commentEvents) {
+    try {
+      results.push(await routeCommentEvent(asanaAPI, event, env));
+    } catch (error) {
+      console.error(`❌ Error handling Asana comment ${event.resource.gid}:`, error.message);
+      results.push({ storyGid: event.resource.gid, status: 'error', message: error.message });
+    }
+  }
+
+  return new Response(JSON.stringify({ status: 'processed', events: events.length, results }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Asana story event actions mapped to the coordinator event they become
+const STORY_EVENT_TYPES = {
+  added: AsanaEventType.STORY_ADDED,
+  changed: AsanaEventType.STORY_CHANGED,
+  deleted: AsanaEventType.STORY_DELETED,
+  removed: AsanaEventType.STORY_DELETED
+};
+
+/**
+ * Derive the webhook key from the request path (/asana/<key>, or "default" for /asana)
+ * @param {Request} request - Incoming Asana webhook request
+ * @returns {string} Webhook key
+ */
+function getWebhookKey(request) {
+  const { pathname } = new URL(request.url);
+  const key = pathname.replace(/^\/asana\/?/, '').replace(/\/+$/, '');
+  return key || 'default';
+}
+
+/**
+ * Look up the GitHub issue linked to a task and hand the completion change to its coordinator
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task GID from the Asana event
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object>} Result from the IssueCoordinator
+ */
+async function routeTaskCompletion(asanaAPI, taskGid, env) {
+  const task = await asanaAPI.getTask(taskGid, {
+    opt_fields: 'gid,completed,custom_fields.gid,custom_fields.text_value'
+  });
+
+  const githubUrl = getGithubUrlFromTask(task, env);
+  if (!githubUrl) {
+    console.log(`ℹ️  Task ${taskGid} has no linked GitHub URL, ignoring`);
+    return { taskGid, status: 'ignored', reason: 'no GitHub URL' };
+  }
+
+  // Pull request state is driven by GitHub (merges, reviews), so only issues are reverse-synced
+  if (parseGithubUrl(githubUrl)?.type !== 'issue') {
+    console.log(`ℹ️  Task ${taskGid} is linked to ${githubUrl}, which is not an issue, ignoring`);
+    return { taskGid, status: 'ignored', reason: 'not an issue' };
+  }
+
+  return await sendToCoordinator(env, githubUrl, AsanaEventType.TASK_COMPLETED, {
+    taskGid,
+    githubUrl,
+    completed: task.completed
+  });
+}
+
+/**
+ * Look up the task a comment story belongs to and hand the comment change to its coordinator
+ * @param {Object} asanaAPI - Asana API client
+ * @param {Object} event - Asana story event
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object>} Result from the IssueCoordinator
+ */
+async function routeCommentEvent(asanaAPI, event, env) {
+  const storyGid = event.resource.gid;
+  const eventType = STORY_EVENT_TYPES[event.action];
+  let taskGid = event.parent?.resource_type === 'task' ? event.parent.gid : null;
+  let story = null;
+
+  // Deleted stories can no longer be fetched, so we rely on the event's parent for those
+  if (eventType !== AsanaEventType.STORY_DELETED) {
+    story = await asanaAPI.getStory(storyGid, {
+      opt_fields: 'gid,text,created_by.name,target.gid,target.resource_type'
+    });
+    if (story.target?.resource_type === 'task') {
+      taskGid = story.target.gid;
+    }
+  }
+
+  if (!taskGid) {
+    console.log(`ℹ️  Comment ${storyGid} has no parent task in the event, ignoring`);
+    return { storyGid, status: 'ignored', reason: 'no parent task' };
+  }
+
+  const task = await asanaAPI.getTask(taskGid, {
+    opt_fields: 'gid,custom_fields.gid,custom_fields.text_value'
+  });
+
+  const githubUrl = getGithubUrlFromTask(task, env);
+  if (!githubUrl) {
+    console.log(`ℹ️  Task ${taskGid} has no linked GitHub URL, ignoring comment ${storyGid}`);
+    return { storyGid, status: 'ignored', reason: 'no GitHub URL' };
+  }
+
+  return await sendToCoordinator(env, githubUrl, eventType, {
+    taskGid,
+    githubUrl,
+    storyGid,
+    authorName: story?.created_by?.name || 'Someone',
+    text: story?.text || ''
+  });
+}
+
+/**
+ * Forward an Asana-originated event to the IssueCoordinator for a GitHub URL
+ * @param {Object} env - Environment variables and bindings
+ * @param {string} githubUrl - GitHub issue/PR URL that keys the coordinator
+ * @param {string} eventType - One of AsanaEventType
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Result from the IssueCoordinator
+ */
+async function sendToCoordinator(env, githubUrl, eventType, data) {
+  const id = env.ISSUE_COORDINATOR.idFromName(githubUrl);
+  const durableObject = env.ISSUE_COORDINATOR.get(id);
+
+  const doRequest = new Request('https://internal/asana', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ eventType, data })
+  });
+
+  const response = await durableObject.fetch(doRequest);
+  return await response.json();
+}
+
+/**
+ * Read the GitHub URL custom field from a task
+ * @param {Object} task - Asana task with custom_fields
+ * @param {Object} env - Environment variables
+ * @returns {string|null} GitHub URL or null
+ */
+function getGithubUrlFromTask(task, env) {
+  const githubUrlFieldGid = env.GITHUB_URL_FIELD_ID;
+  if (!githubUrlFieldGid) {
+    console.log('⚠️  No GITHUB_URL_FIELD_ID configured, cannot link Asana tasks to GitHub');
+    return null;
+  }
+
+  const field = task.custom_fields?.find(field => field.gid === githubUrlFieldGid);
+  return field?.text_value || null;
+}
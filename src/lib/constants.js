@@ -3,7 +3,15 @@ export const GITHUB_EVENT_TYPES = {
   ISSUES: 'issues',
   ISSUE_COMMENT: 'issue_comment',
   PULL_REQUEST: 'pull_request',
-  PULL_REQUEST_REVIEW_COMMENT: 'pull_request_review_comment'
+  PULL_REQUEST_REVIEW: 'pull_request_review',
+  PULL_REQUEST_REVIEW_COMMENT: 'pull_request_review_comment',
+  MILESTONE: 'milestone',
+  REPOSITORY: 'repository',
+  CHECK_SUITE: 'check_suite',
+  CHECK_RUN: 'check_run',
+  STATUS: 'status',
+  INSTALLATION: 'installation',
+  INSTALLATION_REPOSITORIES: 'installation_repositories'
 };
 
 // Create a frozen object to use as an enum
@@ -12,4 +20,33 @@ export const GithubEventType = Object.freeze(GITHUB_EVENT_TYPES);
 // Helper to check if an event type is supported
 export function isSupportedEventType(eventType) {
   return Object.values(GITHUB_EVENT_TYPES).includes(eventType);
-}
\ No newline at end of file
+}
+
+// CI events are about commits; they are resolved to pull requests before being synced
+export const CI_EVENT_TYPES = [
+  GITHUB_EVENT_TYPES.CHECK_SUITE,
+  GITHUB_EVENT_TYPES.CHECK_RUN,
+  GITHUB_EVENT_TYPES.STATUS
+];
+
+export function isCiEventType(eventType) {
+  return CI_EVENT_TYPES.includes(eventType);
+}
+
+// Internal event types for changes that originate in Asana
+export const ASANA_EVENT_TYPES = {
+  TASK_COMPLETED: 'task_completed',
+  STORY_ADDED: 'story_added',
+  STORY_CHANGED: 'story_changed',
+  STORY_DELETED: 'story_deleted'
+};
+
+export const AsanaEventType = Object.freeze(ASANA_EVENT_TYPES);
+
+// Jobs that run on IMPORT_QUEUE besides repository imports, whose messages carry no type
+export const BACKGROUND_JOB_TYPES = {
+  RENAME_REPOSITORY: 'rename_repository',
+  MILESTONE_DUE_DATES: 'milestone_due_dates'
+};
+
+export const BackgroundJobType = Object.freeze(BACKGROUND_JOB_TYPES);
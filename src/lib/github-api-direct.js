@@ -0,0 +1,274 @@
+// Direct GitHub API client using fetch for Cloudflare Workers
+
+// Storage key prefix for cached conditional-request responses
+export const ETAG_CACHE_PREFIX = 'githubEtag:';
+
+// Durable Object storage values are capped at 128 KiB, so larger bodies aren't cached
+const MAX_CACHED_BODY_BYTES = 120 * 1024;
+// Per-commit endpoints (checks, statuses) get a new path with every push, so their cache
+// entries would only pile up
+const UNCACHED_ENDPOINT = /\/commits\/[^/]+\//;
+const MAX_RETRIES = 2;
+// Rate limits that reset further out than this fail the request instead of waiting. Requests
+// run inside IssueCoordinator's blockConcurrencyWhile, which Cloudflare resets after 30s, so
+// longer limits are left to the webhook or queue retry
+const MAX_RATE_LIMIT_WAIT_MS = 5000;
+// GitHub asks for at least a minute between retries when a secondary limit has no Retry-After
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60000;
+const LOW_RATE_LIMIT_WARNING = 100;
+
+/**
+ * Error for a failed GitHub API request
+ */
+export class GitHubAPIError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} text - Raw response text
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   */
+  constructor(status, text, method, path) {
+    super(`GitHub API error: ${status} - ${text}`);
+    this.name = 'GitHubAPIError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    // Set when the request was rate limited for longer than the client waits
+    this.retryAfterMs = null;
+  }
+}
+
+/**
+ * How long to wait before retrying a rate-limited response, or null when it isn't rate limited.
+ * Primary limits come with X-RateLimit-Remaining: 0 and a reset time; secondary limits with
+ * Retry-After, or only a message saying so.
+ * @param {Response} response - Failed response
+ * @param {string} text - Response text
+ * @returns {number|null} Delay in milliseconds
+ */
+function rateLimitDelay(response, text) {
+  if (response.status !== 403 && response.status !== 429) {
+    return null;
+  }
+
+  const retryAfter = Number(response.headers.get('Retry-After'));
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+
+  if (response.headers.get('X-RateLimit-Remaining') === '0') {
+    const resetAt = Number(response.headers.get('X-RateLimit-Reset')) * 1000;
+    return Math.max(resetAt - Date.now(), 0) + 1000;
+  }
+
+  if (response.status === 429 || /secondary rate limit/i.test(text)) {
+    return SECONDARY_RATE_LIMIT_WAIT_MS;
+  }
+
+  return null;
+}
+
+/**
+ * Read the rel="next" URL from a Link header
+ * @param {string|null} linkHeader - Link header value
+ * @returns {string|null} Next page URL or null on the last page
+ */
+function getNextPageUrl(linkHeader) {
+  const match = linkHeader?.match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+}
+
+export class GitHubAPI {
+  /**
+   * @param {string|Function} auth - GitHub token, or an async function returning one (e.g. a
+   *   GitHub App installation token that is fetched on first use)
+   * @param {Object} options
+   * @param {Object} options.cache - Durable Object storage for ETags and the bodies they validate;
+   *   GETs (other than per-commit ones) are sent as conditional requests when set, and
+   *   unchanged responses (304) don't count against the rate limit
+   */
+  constructor(auth, { cache = null } = {}) {
+    this.auth = auth;
+    this.cache = cache;
+    this.baseUrl = 'https://api.github.com';
+  }
+
+  get isAuthenticated() {
+    return !!this.auth;
+  }
+
+  async getAccessToken() {
+    return typeof this.auth === 'function' ? await this.auth() : this.auth;
+  }
+
+  async request(method, endpoint, data = null) {
+    const { body } = await this.send(method, endpoint, data);
+    return body;
+  }
+
+  /**
+   * Send a request, waiting out rate limits that reset soon and answering unchanged GETs
+   * from the ETag cache
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API path, query string included
+   * @param {Object} data - Optional JSON body
+   * @returns {Promise<Object>} { body, next } where next is the rel="next" page path, if any
+   * @throws {GitHubAPIError} When the request fails for good
+   */
+  async send(method, endpoint, data = null) {
+    const options = {
+      method,
+      headers: {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'cloudflare-github-asana-sync'
+      }
+    };
+
+    // Without a token the request goes out unauthenticated (public repositories only)
+    const token = await this.getAccessToken();
+    if (token) {
+      options.headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    if (data) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(data);
+    }
+
+    const cacheKey = method === 'GET' && this.cache && !UNCACHED_ENDPOINT.test(endpoint)
+      ? `${ETAG_CACHE_PREFIX}${endpoint}`
+      : null;
+    const cached = cacheKey ? await this.cache.get(cacheKey) : null;
+    if (cached) {
+      options.headers['If-None-Match'] = cached.etag;
+    }
+
+    console.log(`GitHub API ${method} ${endpoint}`);
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, options);
+      this.checkRateLimit(response);
+
+      if (response.status === 304 && cached) {
+        console.log(`GitHub API ${endpoint} unchanged, using cached response`);
+        return { body: cached.body, next: cached.next };
+      }
+
+      if (response.ok) {
+        const text = response.status === 204 ? '' : await response.text();
+        const result = {
+          body: text ? JSON.parse(text) : null,
+          next: this.toPath(getNextPageUrl(response.headers.get('Link')))
+        };
+
+        const etag = response.headers.get('ETag');
+        if (cacheKey && etag && new TextEncoder().encode(text).length <= MAX_CACHED_BODY_BYTES) {
+          await this.cache.put(cacheKey, { etag, ...result });
+        }
+
+        return result;
+      }
+
+      const text = await response.text();
+      const delay = rateLimitDelay(response, text);
+
+      if (delay === null || delay > MAX_RATE_LIMIT_WAIT_MS || attempt === MAX_RETRIES) {
+        const error = new GitHubAPIError(response.status, text, method, endpoint);
+        error.retryAfterMs = delay;
+        console.error(error.message);
+        throw error;
+      }
+
+      console.log(`⏳ GitHub API rate limit hit on ${method} ${endpoint}, retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  checkRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    if (remaining !== null && Number(remaining) < LOW_RATE_LIMIT_WARNING) {
+      const resetAt = new Date(Number(response.headers.get('X-RateLimit-Reset')) * 1000);
+      console.warn(`⚠️  GitHub API rate limit low: ${remaining} requests left until ${resetAt.toISOString()}`);
+    }
+  }
+
+  toPath(url) {
+    return url ? url.replace(this.baseUrl, '') : null;
+  }
+
+  /**
+   * Fetch every page of a list endpoint, following the Link header, up to `maxItems` items
+   * @param {string} endpoint - API path, e.g. /repos/owner/repo/issues/1/comments
+   * @param {number} maxItems - Stop after this many items
+   * @returns {Promise<Object>} { items, truncated } where truncated means more items exist
+   */
+  async paginate(endpoint, maxItems = Infinity) {
+    const items = [];
+    const separator = endpoint.includes('?') ? '&' : '?';
+    let path = `${endpoint}${separator}per_page=100`;
+
+    while (path) {
+      const { body, next } = await this.send('GET', path);
+      items.push(...body);
+      path = next;
+
+      if (items.length >= maxItems) {
+        return { items: items.slice(0, maxItems), truncated: items.length > maxItems || !!path };
+      }
+    }
+
+    return { items, truncated: false };
+  }
+
+  /**
+   * Run a GraphQL query
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} The `data` of the response
+   */
+  async graphql(query, variables = {}) {
+    const result = await this.request('POST', '/graphql', { query, variables });
+
+    if (result.errors?.length > 0) {
+      throw new Error(`GitHub GraphQL error: ${result.errors.map(error => error.message).join('; ')}`);
+    }
+
+    return result.data;
+  }
+
+  // Issue methods
+  async getIssue(owner, repo, number) {
+    return await this.request('GET', `/repos/${owner}/${repo}/issues/${number}`);
+  }
+
+  async updateIssue(owner, repo, number, issueData) {
+    return await this.request('PATCH', `/repos/${owner}/${repo}/issues/${number}`, issueData);
+  }
+
+  async createIssueComment(owner, repo, number, body) {
+    return await this.request('POST', `/repos/${owner}/${repo}/issues/${number}/comments`, { body });
+  }
+
+  async updateIssueComment(owner, repo, commentId, body) {
+    return await this.request('PATCH', `/repos/${owner}/${repo}/issues/comments/${commentId}`, { body });
+  }
+
+  async deleteIssueComment(owner, repo, commentId) {
+    await this.request('DELETE', `/repos/${owner}/${repo}/issues/comments/${commentId}`);
+  }
+
+  // Pull request methods
+  async getPullRequest(owner, repo, number) {
+    return await this.request('GET', `/repos/${owner}/${repo}/pulls/${number}`);
+  }
+
+  // Commit methods
+  async getPullRequestsForCommit(owner, repo, sha) {
+    return await this.request('GET', `/repos/${owner}/${repo}/commits/${sha}/pulls`);
+  }
+
+  // Repository methods
+  async getRepository(owner, repo) {
+    return await this.request('GET', `/repos/${owner}/${repo}`);
+  }
+}
@@ -0,0 +1,181 @@
+// Authenticate GitHub calls as a GitHub App installation, or with GITHUB_TOKEN
+import { GitHubAPI } from './github-api-direct.js';
+
+// Installation ID -> { token, expiresAt }; tokens live for an hour
+const installationTokens = new Map();
+// owner/repo -> installation ID, for calls that don't come with a webhook payload
+const repositoryInstallations = new Map();
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// GitHub accepts app JWTs valid for at most 10 minutes; iat is backdated for clock drift
+const JWT_LIFETIME_SECONDS = 9 * 60;
+const JWT_CLOCK_DRIFT_SECONDS = 60;
+
+// DER prefix of a PKCS#8 PrivateKeyInfo for rsaEncryption, up to the octet string holding the key
+const RSA_ALGORITHM_IDENTIFIER = [0x30, 0x0d, 0x06, 0x09, 0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01, 0x05, 0x00];
+
+/**
+ * Whether the worker is configured to authenticate as a GitHub App
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function githubAppEnabled(env) {
+  return !!(env.GITHUB_APP_ID && env.GITHUB_APP_PRIVATE_KEY);
+}
+
+/**
+ * Whether GitHub API calls can be made at all, as an app or with GITHUB_TOKEN
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function githubAuthConfigured(env) {
+  return githubAppEnabled(env) || !!env.GITHUB_TOKEN;
+}
+
+/**
+ * Create a GitHub API client for a repository. As a GitHub App the client uses an installation
+ * token: the installation is taken from the webhook payload when there is one, otherwise looked
+ * up for the repository. Without an app it uses GITHUB_TOKEN.
+ * @param {Object} env - Environment variables
+ * @param {Object} target - { installationId, owner, repo }
+ * @param {Object} options - GitHubAPI options (e.g. { cache })
+ * @returns {GitHubAPI} GitHub API client
+ */
+export function createGitHubAPI(env, { installationId, owner, repo } = {}, options = {}) {
+  if (!githubAppEnabled(env)) {
+    return new GitHubAPI(env.GITHUB_TOKEN, options);
+  }
+
+  return new GitHubAPI(async () => {
+    const id = installationId || await getRepositoryInstallationId(env, owner, repo);
+    return await getInstallationToken(env, id);
+  }, options);
+}
+
+/**
+ * The installation to authenticate as for a webhook payload
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {Object} { installationId, owner, repo }
+ */
+export function installationTarget(payload) {
+  return {
+    installationId: payload.installation?.id,
+    owner: payload.repository?.owner?.login,
+    repo: payload.repository?.name
+  };
+}
+
+/**
+ * Get an installation access token, from the cache while it has more than a few minutes left
+ * @param {Object} env - Environment variables
+ * @param {number} installationId - GitHub App installation ID
+ * @returns {Promise<string>} Installation access token
+ */
+export async function getInstallationToken(env, installationId) {
+  const cached = installationTokens.get(installationId);
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  const appAPI = new GitHubAPI(await createAppJwt(env.GITHUB_APP_ID, env.GITHUB_APP_PRIVATE_KEY));
+  const { token, expires_at } = await appAPI.request('POST', `/app/installations/${installationId}/access_tokens`);
+
+  installationTokens.set(installationId, { token, expiresAt: new Date(expires_at).getTime() });
+  console.log(`🔑 Got GitHub App installation token for installation ${installationId}`);
+  return token;
+}
+
+/**
+ * Find the app installation that covers a repository
+ * @param {Object} env - Environment variables
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<number>} Installation ID
+ */
+async function getRepositoryInstallationId(env, owner, repo) {
+  if (!owner || !repo) {
+    throw new Error('Cannot pick a GitHub App installation without an installation ID or repository');
+  }
+
+  const key = `${owner}/${repo}`.toLowerCase();
+  if (repositoryInstallations.has(key)) {
+    return repositoryInstallations.get(key);
+  }
+
+  const appAPI = new GitHubAPI(await createAppJwt(env.GITHUB_APP_ID, env.GITHUB_APP_PRIVATE_KEY));
+  const installation = await appAPI.request('GET', `/repos/${owner}/${repo}/installation`);
+
+  repositoryInstallations.set(key, installation.id);
+  return installation.id;
+}
+
+/**
+ * Create the JWT a GitHub App authenticates with, signed RS256 with the app's private key
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKeyPem - Private key as downloaded from GitHub (PKCS#1) or PKCS#8 PEM
+ * @returns {Promise<string>} JWT
+ */
+export async function createAppJwt(appId, privateKeyPem) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'RS256', typ: 'JWT' };
+  const claims = {
+    iat: now - JWT_CLOCK_DRIFT_SECONDS,
+    exp: now + JWT_LIFETIME_SECONDS,
+    iss: String(appId)
+  };
+
+  const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(claims))}`;
+  const key = await crypto.subtle.importKey(
+    'pkcs8',
+    pemToPkcs8(privateKeyPem),
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, new TextEncoder().encode(signingInput));
+
+  return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Decode a PEM private key to PKCS#8 DER. GitHub hands out PKCS#1 ("BEGIN RSA PRIVATE KEY")
+ * keys, which WebCrypto can't import, so those are wrapped in a PKCS#8 structure.
+ * @param {string} pem - PEM text; literal "\n" sequences (common in secrets) are accepted
+ * @returns {Uint8Array} PKCS#8 DER
+ */
+function pemToPkcs8(pem) {
+  const text = pem.replace(/\\n/g, '\n');
+  const base64 = text.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '');
+  const der = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+  if (!text.includes('BEGIN RSA PRIVATE KEY')) {
+    return der;
+  }
+
+  // PrivateKeyInfo ::= SEQUENCE { version INTEGER 0, algorithm AlgorithmIdentifier, privateKey OCTET STRING }
+  const octetString = [0x04, ...derLength(der.length), ...der];
+  const body = [0x02, 0x01, 0x00, ...RSA_ALGORITHM_IDENTIFIER, ...octetString];
+  return new Uint8Array([0x30, ...derLength(body.length), ...body]);
+}
+
+function derLength(length) {
+  if (length < 0x80) {
+    return [length];
+  }
+
+  const bytes = [];
+  for (let remaining = length; remaining > 0; remaining >>= 8) {
+    bytes.unshift(remaining & 0xff);
+  }
+  return [0x80 | bytes.length, ...bytes];
+}
+
+function base64UrlEncode(value) {
+  const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,86 @@
+// Route CI webhooks (check suites, check runs, commit statuses) to the pull requests they belong to
+import { createGitHubAPI, githubAuthConfigured, installationTarget } from './github-app-auth.js';
+
+/**
+ * Handle a `check_suite`, `check_run` or `status` webhook.
+ * CI events are about commits, not pull requests, so the commit's SHA is resolved to the open
+ * pull requests whose head it is, and each of those has its CI status updated by its own
+ * IssueCoordinator. Check runs and suites only count once they complete; a push produces
+ * several events per check, and the pending state is already set by the push's PR sync.
+ *
+ * @param {string} eventType - GitHub event type
+ * @param {Object} payload - GitHub webhook payload
+ * @param {Object} env - Environment variables and bindings
+ * @param {string|null} deliveryId - Webhook delivery ID; each pull request's coordinator
+ *   dedupes on it, suffixed with the PR number
+ * @returns {Promise<Response>} Response for GitHub
+ */
+export async function handleCiEvent(eventType, payload, env, deliveryId = null) {
+  const { repository } = payload;
+  const owner = repository.owner.login;
+  const repo = repository.name;
+  const ci = payload.check_suite || payload.check_run;
+  const sha = ci ? ci.head_sha : payload.sha;
+
+  if (ci && payload.action !== 'completed') {
+    return jsonResponse({ status: 'ignored', action: payload.action, reason: 'check not completed' });
+  }
+
+  if (!githubAuthConfigured(env)) {
+    console.log(`⚠️  No GitHub credentials configured, ignoring ${eventType} event`);
+    return jsonResponse({ status: 'ignored', reason: 'no GitHub token' });
+  }
+
+  const pullRequests = await findPullRequestsForSha(createGitHubAPI(env, installationTarget(payload)), owner, repo, sha, ci?.pull_requests);
+  if (pullRequests.length === 0) {
+    console.log(`ℹ️  No open pull request has ${sha} as its head, ignoring ${eventType} event`);
+    return jsonResponse({ status: 'ignored', reason: 'no pull request for commit', sha });
+  }
+
+  const results = [];
+  for (const pullRequest of pullRequests) {
+    const durableObject = env.ISSUE_COORDINATOR.get(env.ISSUE_COORDINATOR.idFromName(pullRequest.html_url));
+    const response = await durableObject.fetch(new Request('https://internal/', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        eventType,
+        payload: { action: payload.action || payload.state, pull_request: pullRequest, repository, installation: payload.installation },
+        headers: deliveryId ? { 'x-github-delivery': `${deliveryId}:${pullRequest.number}` } : {}
+      })
+    }));
+    results.push(await response.json());
+  }
+
+  return jsonResponse({ status: 'processed', sha, results });
+}
+
+/**
+ * Find the open pull requests whose head commit is `sha`.
+ * Check events list their pull requests (except for forks); statuses don't, so GitHub is asked
+ * which pull requests contain the commit. Either way the full pull requests are fetched.
+ * @param {Object} githubAPI - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @param {Array|undefined} listed - `pull_requests` from a check suite or check run
+ * @returns {Promise<Array>} Full pull request objects
+ */
+async function findPullRequestsForSha(githubAPI, owner, repo, sha, listed) {
+  let candidates;
+  if (listed?.length > 0) {
+    candidates = await Promise.all(listed.map(pr =>
+      githubAPI.getPullRequest(owner, repo, pr.number)
+    ));
+  } else {
+    candidates = await githubAPI.getPullRequestsForCommit(owner, repo, sha);
+  }
+
+  return candidates.filter(pr => pr.state === 'open' && pr.head?.sha === sha);
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,108 @@
+// Onboard repositories the GitHub App gets installed on
+import { AsanaAPI } from './asana-api-direct.js';
+import { GithubEventType } from './constants.js';
+import { loadRoutingConfig, resolveRoute, registerRepositoryRoute } from './util/project-routing.js';
+import { getCustomFieldForProject } from './util/custom-field-helper.js';
+import { findOrCreateSection } from './asana-task-section.js';
+import { queueRepositoryImport, repositoryImportState } from './repository-import.js';
+
+/**
+ * Whether onboarded repositories get their own section in their Asana project
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function installationSectionsEnabled(env) {
+  return env.INSTALLATION_SECTIONS === 'true' || env.INSTALLATION_SECTIONS === true;
+}
+
+/**
+ * Handle an `installation` (created) or `installation_repositories` (added) webhook.
+ * Every repository the app was given access to is registered in the routing config, gets
+ * its section and repository field option when configured, and has its existing issues and
+ * pull requests imported. Other actions are ignored; removed repositories keep their tasks.
+ *
+ * @param {string} eventType - GitHub event type
+ * @param {Object} payload - GitHub installation webhook payload
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context, for imports that run after the response
+ * @param {string|null} deliveryId - Webhook delivery ID, passed on to the imports
+ * @returns {Promise<Response>} Response for GitHub
+ */
+export async function handleInstallationEvent(eventType, payload, env, ctx, deliveryId = null) {
+  const { action, installation } = payload;
+
+  let repositories = null;
+  if (eventType === GithubEventType.INSTALLATION && action === 'created') {
+    repositories = payload.repositories;
+  } else if (eventType === GithubEventType.INSTALLATION_REPOSITORIES && action === 'added') {
+    repositories = payload.repositories_added;
+  }
+
+  if (!repositories?.length) {
+    return jsonResponse({ status: 'ignored', action, reason: 'no repositories added' });
+  }
+
+  console.log(`🧩 GitHub App installation ${installation.id} added ${repositories.length} repositories`);
+
+  const config = await loadRoutingConfig(env);
+  const asanaAPI = new AsanaAPI(env.ASANA_PAT);
+  const results = [];
+
+  for (const repository of repositories) {
+    try {
+      results.push(await onboardRepository(asanaAPI, config, repository.full_name, installation.id, env, ctx, deliveryId));
+    } catch (error) {
+      console.error(`❌ Error onboarding ${repository.full_name}:`, error.message);
+      results.push({ repository: repository.full_name, status: 'error', message: error.message });
+    }
+  }
+
+  return jsonResponse({ status: 'processed', action, installationId: installation.id, results });
+}
+
+/**
+ * Set up a single repository
+ * @param {Object} asanaAPI - Asana API client
+ * @param {Object} config - Routing config from loadRoutingConfig
+ * @param {string} fullName - Repository in owner/repo form
+ * @param {number} installationId - GitHub App installation ID
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context
+ * @param {string|null} deliveryId - Webhook delivery ID
+ * @returns {Promise<Object>} Result for the repository
+ */
+async function onboardRepository(asanaAPI, config, fullName, installationId, env, ctx, deliveryId) {
+  const [owner, repo] = fullName.split('/');
+  const { projectId, sectionId } = resolveRoute(config, fullName);
+
+  if (!projectId) {
+    console.log(`⚠️  No Asana project for ${fullName}, not onboarding it`);
+    return { repository: fullName, status: 'ignored', reason: 'no project' };
+  }
+
+  let sectionGid = sectionId;
+  if (installationSectionsEnabled(env)) {
+    sectionGid = (await findOrCreateSection(asanaAPI, projectId, repo)).gid;
+  }
+
+  const route = sectionGid ? { project: projectId, section: sectionGid } : { project: projectId };
+  const routeRegistered = await registerRepositoryRoute(env, fullName, route);
+
+  if (env.REPOSITORY_FIELD_ID) {
+    await getCustomFieldForProject(asanaAPI, env.REPOSITORY_FIELD_ID, repo);
+  }
+
+  const state = repositoryImportState(env);
+  const importStatus = state === 'none'
+    ? 'skipped'
+    : await queueRepositoryImport(env, ctx, { owner, repo, installationId, state, deliveryId });
+
+  console.log(`✅ Onboarded ${fullName} into project ${projectId}`);
+  return { repository: fullName, status: 'onboarded', projectId, sectionGid, routeRegistered, import: importStatus };
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,57 @@
+// Mirror Asana task comments onto the linked GitHub issue
+import { parseGithubUrl } from './util/github-url.js';
+
+/**
+ * Format an Asana comment for GitHub, attributed to its Asana author
+ * @param {string} authorName - Asana display name of the comment author
+ * @param {string} text - Plain text of the Asana comment
+ * @returns {string} Markdown comment body
+ */
+export function formatMirroredComment(authorName, text) {
+  return `**${authorName} (via Asana):**\n\n${text}`;
+}
+
+/**
+ * Post a comment on a GitHub issue or pull request
+ * @param {Object} githubAPI - GitHub API client (token with write access to issues)
+ * @param {string} githubUrl - GitHub issue/PR URL
+ * @param {string} body - Markdown comment body
+ * @returns {Promise<Object>} Created GitHub comment
+ */
+export async function createIssueComment(githubAPI, githubUrl, body) {
+  const { owner, repo, number } = requireParsedUrl(githubUrl);
+  return await githubAPI.createIssueComment(owner, repo, number, body);
+}
+
+/**
+ * Replace the body of an existing GitHub issue comment
+ * @param {Object} githubAPI - GitHub API client (token with write access to issues)
+ * @param {string} githubUrl - GitHub issue/PR URL the comment belongs to
+ * @param {number} commentId - GitHub comment ID
+ * @param {string} body - New markdown comment body
+ * @returns {Promise<Object>} Updated GitHub comment
+ */
+export async function updateIssueComment(githubAPI, githubUrl, commentId, body) {
+  const { owner, repo } = requireParsedUrl(githubUrl);
+  return await githubAPI.updateIssueComment(owner, repo, commentId, body);
+}
+
+/**
+ * Delete a GitHub issue comment
+ * @param {Object} githubAPI - GitHub API client (token with write access to issues)
+ * @param {string} githubUrl - GitHub issue/PR URL the comment belongs to
+ * @param {number} commentId - GitHub comment ID
+ * @returns {Promise<void>}
+ */
+export async function deleteIssueComment(githubAPI, githubUrl, commentId) {
+  const { owner, repo } = requireParsedUrl(githubUrl);
+  await githubAPI.deleteIssueComment(owner, repo, commentId);
+}
+
+function requireParsedUrl(githubUrl) {
+  const parsed = parseGithubUrl(githubUrl);
+  if (!parsed) {
+    throw new Error(`Not a GitHub issue or pull request URL: ${githubUrl}`);
+  }
+  return parsed;
+}
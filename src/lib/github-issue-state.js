@@ -0,0 +1,36 @@
+// Push Asana task completion back to the linked GitHub issue
+import { parseGithubUrl } from './util/github-url.js';
+
+/**
+ * Close or reopen a GitHub issue to match the completion state of its Asana task.
+ * Does nothing if the issue is already in the desired state, which is what stops
+ * our own Asana updates from bouncing back to GitHub.
+ * 
+ * @param {Object} githubAPI - GitHub API client (token with write access to issues)
+ * @param {string} githubUrl - GitHub issue URL
+ * @param {boolean} completed - Asana task completion state
+ * @returns {Promise<Object>} { changed, state } where state is the issue state after the call
+ */
+export async function syncIssueStateFromTask(githubAPI, githubUrl, completed) {
+  const parsed = parseGithubUrl(githubUrl);
+  if (!parsed) {
+    throw new Error(`Not a GitHub issue URL: ${githubUrl}`);
+  }
+  
+  const { owner, repo, number } = parsed;
+  const desiredState = completed ? 'closed' : 'open';
+  
+  const issue = await githubAPI.getIssue(owner, repo, number);
+  if (issue.state === desiredState) {
+    console.log(`ℹ️  ${githubUrl} is already ${desiredState}, nothing to do`);
+    return { changed: false, state: issue.state };
+  }
+  
+  console.log(`🔁 Setting ${githubUrl} to ${desiredState} from Asana`);
+  const updated = await githubAPI.updateIssue(owner, repo, number, {
+    state: desiredState,
+    ...(completed ? { state_reason: 'completed' } : {})
+  });
+  
+  return { changed: true, state: updated.state };
+}
@@ -0,0 +1,103 @@
+// Carry milestone due dates over to issue tasks when there are no milestone tasks to do it
+import { AsanaAPI } from './asana-api-direct.js';
+import { BackgroundJobType } from './constants.js';
+import { createGitHubAPI } from './github-app-auth.js';
+import { milestoneDueOn } from './asana-milestone.js';
+
+/**
+ * Handle a `milestone` webhook while ASANA_MILESTONE_TASKS is off. Nothing in Asana stands
+ * for the milestone then, so a due date change is carried over to the tasks of the
+ * milestone's issues and pull requests. That can be many tasks, so it runs in the background
+ * (see updateMilestoneDueDates). Other actions are ignored; with nothing linking tasks to a
+ * deleted milestone, that includes deletions.
+ *
+ * @param {Object} payload - GitHub milestone webhook payload
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context, for updates that run after the response
+ * @returns {Promise<Response>} Response for GitHub
+ */
+export async function handleMilestoneDueDateEvent(payload, env, ctx) {
+  const { action, milestone, repository } = payload;
+  
+  if (action !== 'edited' || !payload.changes?.due_on) {
+    return jsonResponse({ status: 'ignored', action, reason: 'no due date change' });
+  }
+  
+  const job = {
+    type: BackgroundJobType.MILESTONE_DUE_DATES,
+    owner: repository.owner.login,
+    repo: repository.name,
+    installationId: payload.installation?.id,
+    number: milestone.number
+  };
+  const update = await queueMilestoneDueDates(env, ctx, job);
+  
+  return jsonResponse({ status: 'accepted', action, milestone: milestone.html_url, update });
+}
+
+/**
+ * Start a due date update, on IMPORT_QUEUE when it is bound
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context of the webhook request
+ * @param {Object} job - { type, owner, repo, installationId, number }
+ * @returns {Promise<string>} "queued" or "started"
+ */
+async function queueMilestoneDueDates(env, ctx, job) {
+  const name = `${job.owner}/${job.repo} milestone ${job.number}`;
+  
+  if (env.IMPORT_QUEUE) {
+    await env.IMPORT_QUEUE.send(job);
+    console.log(`📥 Queued due date update for ${name}`);
+    return 'queued';
+  }
+  
+  ctx.waitUntil(updateMilestoneDueDates(env, job).catch(error => {
+    console.error(`❌ Due date update for ${name} failed:`, error.message);
+  }));
+  console.log(`📥 Started due date update for ${name}`);
+  return 'started';
+}
+
+/**
+ * Set a milestone's due date on the task of every issue and pull request in it. Tasks are
+ * looked up in their coordinators, so only issues that were synced are touched. The milestone
+ * is read again rather than taken from the webhook, so a late or repeated job can't set an
+ * outdated due date.
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} job - { owner, repo, installationId, number }
+ * @returns {Promise<Object>} { updated, errors }
+ */
+export async function updateMilestoneDueDates(env, { owner, repo, installationId, number }) {
+  const githubAPI = createGitHubAPI(env, { installationId, owner, repo });
+  const milestone = await githubAPI.request('GET', `/repos/${owner}/${repo}/milestones/${number}`);
+  const dueOn = milestoneDueOn(milestone);
+  const { items } = await githubAPI.paginate(`/repos/${owner}/${repo}/issues?milestone=${number}&state=all`);
+  
+  const asanaAPI = new AsanaAPI(env.ASANA_PAT);
+  const summary = { updated: 0, errors: 0 };
+  
+  for (const item of items) {
+    try {
+      const coordinator = env.ISSUE_COORDINATOR.get(env.ISSUE_COORDINATOR.idFromName(item.html_url));
+      const { taskGid } = await (await coordinator.fetch(new Request('https://internal/task'))).json();
+      if (!taskGid) continue;
+      
+      await asanaAPI.updateTask(taskGid, { data: { due_on: dueOn } });
+      console.log(`📅 Set due date of task ${taskGid} to ${dueOn || 'none'}`);
+      summary.updated++;
+    } catch (error) {
+      console.error(`❌ Error updating due date for ${item.html_url}:`, error.message);
+      summary.errors++;
+    }
+  }
+  
+  console.log(`✅ Carried the due date of ${milestone.html_url} over: ${summary.updated} tasks updated, ${summary.errors} errors`);
+  return summary;
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
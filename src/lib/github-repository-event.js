@@ -0,0 +1,221 @@
+// Follow repository renames and transfers so existing tasks keep pointing at the right URLs
+import { AsanaAPI } from './asana-api-direct.js';
+import { loadRoutingConfig } from './util/project-routing.js';
+import { getCustomFieldForProject } from './util/custom-field-helper.js';
+import { BackgroundJobType } from './constants.js';
+
+/**
+ * Handle a `repository` webhook. On `renamed` and `transferred`, every task linked to the old
+ * repository URL gets its GitHub URL field, repository field and description links rewritten,
+ * and its coordinator state is moved to the coordinator for the new URL. That means scanning
+ * every routed project, so it runs in the background (see renameRepositoryTasks). Other
+ * actions are ignored.
+ *
+ * @param {Object} payload - GitHub repository webhook payload
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context, for renames that run after the response
+ * @param {string|null} deliveryId - Webhook delivery ID; redeliveries are ignored
+ * @returns {Promise<Response>} Response for GitHub
+ */
+export async function handleRepositoryEvent(payload, env, ctx, deliveryId = null) {
+  const { action, repository, changes } = payload;
+  
+  let oldFullName = null;
+  if (action === 'renamed' && changes?.repository?.name?.from) {
+    oldFullName = `${repository.owner.login}/${changes.repository.name.from}`;
+  } else if (action === 'transferred' && changes?.owner?.from) {
+    const previousOwner = changes.owner.from.organization || changes.owner.from.user;
+    oldFullName = previousOwner?.login ? `${previousOwner.login}/${repository.name}` : null;
+  }
+  
+  if (!oldFullName) {
+    return jsonResponse({ status: 'ignored', action, reason: 'not a rename' });
+  }
+  
+  if (!env.GITHUB_URL_FIELD_ID) {
+    console.log('⚠️  No GITHUB_URL_FIELD_ID configured, cannot find tasks for the renamed repository');
+    return jsonResponse({ status: 'ignored', action, reason: 'no GitHub URL field' });
+  }
+  
+  if (deliveryId && !(await claimDelivery(env, repository.html_url, deliveryId))) {
+    return jsonResponse({ status: 'duplicate', action, deliveryId });
+  }
+  
+  const job = {
+    type: BackgroundJobType.RENAME_REPOSITORY,
+    oldFullName,
+    repository: { name: repository.name, full_name: repository.full_name, html_url: repository.html_url }
+  };
+  const rename = await queueRepositoryRename(env, ctx, job);
+  
+  return jsonResponse({ status: 'accepted', action, from: oldFullName, to: repository.full_name, rename });
+}
+
+/**
+ * Start a rename. With an IMPORT_QUEUE binding it runs in the queue consumer, like repository
+ * imports; otherwise it runs after the response through ctx.waitUntil.
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context of the webhook request
+ * @param {Object} job - { type, oldFullName, repository }
+ * @returns {Promise<string>} "queued" or "started"
+ */
+async function queueRepositoryRename(env, ctx, job) {
+  if (env.IMPORT_QUEUE) {
+    await env.IMPORT_QUEUE.send(job);
+    console.log(`📥 Queued rename of ${job.oldFullName}`);
+    return 'queued';
+  }
+  
+  ctx.waitUntil(renameRepositoryTasks(env, job).catch(error => {
+    console.error(`❌ Rename of ${job.oldFullName} failed:`, error.message);
+  }));
+  console.log(`📥 Started rename of ${job.oldFullName}`);
+  return 'started';
+}
+
+/**
+ * Point every task of a renamed or transferred repository at its new URLs
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} job - { oldFullName, repository: { name, full_name, html_url } }
+ * @returns {Promise<Array>} Result per task
+ */
+export async function renameRepositoryTasks(env, { oldFullName, repository }) {
+  const oldPrefix = `https://github.com/${oldFullName}/`;
+  const newPrefix = `${repository.html_url}/`;
+  console.log(`🚚 Repository ${oldFullName} is now ${repository.full_name}, updating tasks`);
+  
+  // The repository may have been routed anywhere, so look in every project we sync to
+  const config = await loadRoutingConfig(env);
+  const projectIds = [...new Set([config.default.project, ...config.routes.map(route => route.project)].filter(Boolean))];
+  
+  const asanaAPI = new AsanaAPI(env.ASANA_PAT);
+  const results = [];
+  
+  for (const projectId of projectIds) {
+    for (const task of await findTasksWithUrlPrefix(asanaAPI, projectId, oldPrefix, env)) {
+      const oldUrl = task.githubUrl;
+      const newUrl = newPrefix + oldUrl.slice(oldPrefix.length);
+      
+      try {
+        await updateRenamedTask(asanaAPI, task.gid, oldPrefix, newPrefix, newUrl, repository.name, env);
+        await moveCoordinator(env, oldUrl, newUrl, task.gid);
+        results.push({ taskGid: task.gid, githubUrl: newUrl, status: 'updated' });
+      } catch (error) {
+        console.error(`❌ Error updating task ${task.gid} for ${oldUrl}:`, error.message);
+        results.push({ taskGid: task.gid, githubUrl: oldUrl, status: 'error', message: error.message });
+      }
+    }
+  }
+  
+  const failed = results.filter(result => result.status === 'error').length;
+  console.log(`✅ Renamed ${oldFullName} to ${repository.full_name}: ${results.length - failed} tasks updated, ${failed} errors`);
+  return results;
+}
+
+/**
+ * Find the tasks in a project whose GitHub URL field starts with a prefix
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} projectId - Asana project ID
+ * @param {string} prefix - URL prefix, e.g. https://github.com/owner/repo/
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} Tasks as { gid, githubUrl }
+ */
+async function findTasksWithUrlPrefix(asanaAPI, projectId, prefix, env) {
+  const matches = [];
+  const tasks = asanaAPI.iterateTasksForProject(projectId, {
+    opt_fields: 'gid,custom_fields.gid,custom_fields.text_value'
+  });
+  
+  for await (const task of tasks) {
+    const githubUrl = task.custom_fields?.find(field => field.gid === env.GITHUB_URL_FIELD_ID)?.text_value;
+    if (githubUrl?.startsWith(prefix)) {
+      matches.push({ gid: task.gid, githubUrl });
+    }
+  }
+  
+  return matches;
+}
+
+/**
+ * Point a task at its new URL: GitHub URL field, repository field and links in the description
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} taskGid - Task GID
+ * @param {string} oldPrefix - Old repository URL prefix
+ * @param {string} newPrefix - New repository URL prefix
+ * @param {string} newUrl - New issue/PR URL
+ * @param {string} repositoryName - New repository name
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+async function updateRenamedTask(asanaAPI, taskGid, oldPrefix, newPrefix, newUrl, repositoryName, env) {
+  const task = await asanaAPI.getTask(taskGid, { opt_fields: 'html_notes' });
+  
+  const customFields = { [env.GITHUB_URL_FIELD_ID]: newUrl };
+  if (env.REPOSITORY_FIELD_ID) {
+    const optionGid = await getCustomFieldForProject(asanaAPI, env.REPOSITORY_FIELD_ID, repositoryName);
+    if (optionGid) {
+      customFields[env.REPOSITORY_FIELD_ID] = optionGid;
+    }
+  }
+  
+  const data = { custom_fields: customFields };
+  if (task.html_notes?.includes(oldPrefix)) {
+    data.html_notes = task.html_notes.split(oldPrefix).join(newPrefix);
+  }
+  
+  await asanaAPI.updateTask(taskGid, { data });
+  console.log(`🔗 Updated task ${taskGid} to ${newUrl}`);
+}
+
+/**
+ * Ask the coordinator for the old URL to hand its task over to the coordinator for the new URL
+ * @param {Object} env - Environment variables and bindings
+ * @param {string} oldUrl - Old issue/PR URL
+ * @param {string} newUrl - New issue/PR URL
+ * @param {string} taskGid - Task GID, used if the old coordinator never cached it
+ * @returns {Promise<Object>} Result from the IssueCoordinator
+ */
+async function moveCoordinator(env, oldUrl, newUrl, taskGid) {
+  const durableObject = env.ISSUE_COORDINATOR.get(env.ISSUE_COORDINATOR.idFromName(oldUrl));
+  const response = await durableObject.fetch(new Request('https://internal/move', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ githubUrl: newUrl, taskGid })
+  }));
+  
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+/**
+ * Record a delivery on the coordinator for the repository URL, so a redelivered rename
+ * doesn't scan every project again
+ * @param {Object} env - Environment variables and bindings
+ * @param {string} repositoryUrl - Repository URL
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {Promise<boolean>} Whether the delivery is new
+ */
+async function claimDelivery(env, repositoryUrl, deliveryId) {
+  const durableObject = env.ISSUE_COORDINATOR.get(env.ISSUE_COORDINATOR.idFromName(repositoryUrl));
+  const response = await durableObject.fetch(new Request('https://internal/delivery', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ deliveryId })
+  }));
+  
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error);
+  }
+  return result.status === 'claimed';
+}
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
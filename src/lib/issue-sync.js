@@ -1,24 +1,77 @@
 // Core issue synchronization logic - refactored to use two-step approach
 import { issueToTask } from './util/issue-to-task.js';
-import { ensureTaskExists } from './asana-task-ensure.js';
+import { ensureTaskExists, findTaskByGithubUrl } from './asana-task-ensure.js';
 import { updateTaskDescription } from './asana-task-update-description.js';
 import { markTaskComplete } from './asana-task-completed.js';
-import { GithubEventType } from './constants.js';
+import { archiveDeletedIssueTask } from './asana-task-archive.js';
+import { syncTaskCiStatus } from './asana-task-ci-status.js';
+import { getCommitChecks } from './util/pr-checks.js';
+import { commentStoriesEnabled, commentStoryKey, createCommentStory, updateCommentStory } from './asana-comment-stories.js';
+import { GithubEventType, isCiEventType } from './constants.js';
+import { loadRoutingConfig, resolveRoute } from './util/project-routing.js';
+import { loadIdentityMap } from './util/identity-map.js';
+import { syncTaskAssignee } from './asana-task-assignee.js';
+import { addTaskFollowers } from './asana-task-followers.js';
+import { syncTaskMilestone, handleMilestoneEvent } from './asana-milestone.js';
+import { taskListSubtasksEnabled, syncTaskListSubtasks } from './asana-task-subtasks.js';
+import { trackedIssueDependenciesEnabled, trackedIssueItemFilter, syncTrackedIssueDependencies, ensureTaskForReference } from './asana-task-tracked-issues.js';
+import { parseTaskList } from './util/task-list.js';
+import { syncClosingIssueDependencies, completeClosingIssueTasks } from './asana-task-closing-issues.js';
+import { parseTrackedIssues, parseClosingReferences, referenceKey } from './util/issue-references.js';
+import { parseGithubUrl } from './util/github-url.js';
+import { createGitHubAPI, githubAuthConfigured, installationTarget } from './github-app-auth.js';
+
+// Stories posted per sync for comments that don't have one yet; the rest follow on later syncs
+const MAX_BACKFILL_STORIES = 10;
 
 export class IssueSync {
-  constructor(asanaAPI, env) {
+  // storage is the IssueCoordinator's Durable Object storage; it is optional (bulk imports
+  // run without one) and only used for state that can't be recovered from Asana.
+  // With deferReferences, references to other issues are returned as `references` on the
+  // result instead of being synced, for the coordinator to sync outside its lock.
+  constructor(asanaAPI, env, storage = null, { deferReferences = false } = {}) {
     this.asanaAPI = asanaAPI;
     this.env = env;
+    this.storage = storage;
+    this.deferReferences = deferReferences;
     this.projectId = env.ASANA_PROJECT_ID;
     
-    if (!this.projectId) {
-      throw new Error("ASANA_PROJECT_ID environment variable is required");
+    if (!this.projectId && !env.ASANA_ROUTING && !env.ROUTING_KV) {
+      throw new Error("ASANA_PROJECT_ID or ASANA_ROUTING environment variable is required");
     }
   }
   
   async handleEvent(eventType, payload) {
+    // Authenticates as the app installation the webhook came from (or with GITHUB_TOKEN);
+    // conditional requests against the coordinator's storage keep unchanged lists off the rate limit
+    this.githubAPI = createGitHubAPI(this.env, installationTarget(payload), { cache: this.storage });
+    
+    if (eventType === GithubEventType.MILESTONE) {
+      return this.handleMilestoneEvent(payload);
+    }
+    
+    // CI results only touch the CI status field and failing checks of the PR task
+    if (isCiEventType(eventType)) {
+      return this.handleCiEvent(eventType, payload);
+    }
+    
+    // A deleted issue can't be fetched anymore, so there is nothing to sync but its removal
+    if (eventType === GithubEventType.ISSUES && payload.action === 'deleted') {
+      return this.handleIssueDeleted(payload);
+    }
+    
+    // Comments on a PR's conversation arrive as issue comments on the PR's issue; sync the PR
+    // itself so the task gets the full PR timeline, files and statuses
+    if (eventType === GithubEventType.ISSUE_COMMENT && payload.issue?.pull_request && !payload.pull_request && githubAuthConfigured(this.env)) {
+      const { owner, repo, number } = parseGithubUrl(payload.issue.html_url);
+      payload.pull_request = await this.githubAPI.getPullRequest(owner, repo, number);
+    }
+    
     // Determine event type and extract common data
-    const isPullRequest = eventType === GithubEventType.PULL_REQUEST || eventType === GithubEventType.PULL_REQUEST_REVIEW_COMMENT;
+    const isPullRequest = eventType === GithubEventType.PULL_REQUEST ||
+      (eventType === GithubEventType.ISSUE_COMMENT && !!payload.pull_request) ||
+      eventType === GithubEventType.PULL_REQUEST_REVIEW ||
+      eventType === GithubEventType.PULL_REQUEST_REVIEW_COMMENT;
     const isComment = eventType === GithubEventType.ISSUE_COMMENT || eventType === GithubEventType.PULL_REQUEST_REVIEW_COMMENT;
     const source = isPullRequest ? payload.pull_request : payload.issue;
     const githubUrl = source?.html_url;
@@ -28,10 +81,17 @@ export class IssueSync {
     }
     
     // Step 1: Ensure task exists with proper custom fields
-    const taskContent = await issueToTask(payload, this.env, isPullRequest ? 'pull_request' : undefined);
+    const taskContent = await issueToTask(payload, this.env, isPullRequest ? 'pull_request' : undefined, this.githubAPI);
     const repository = payload.repository.name;
+    const repoFullName = payload.repository.full_name || `${payload.repository.owner.login}/${repository}`;
     const creator = source.user.login;
     
+    // Pick the Asana project (and section) this repository routes to
+    const route = resolveRoute(await loadRoutingConfig(this.env), repoFullName, taskContent.labels);
+    if (!route.projectId) {
+      throw new Error(`No Asana project configured for ${repoFullName}`);
+    }
+    
     // Determine merge status for PRs
     let mergeStatus = null;
     if (isPullRequest) {
@@ -44,7 +104,7 @@ export class IssueSync {
     
     const task = await ensureTaskExists(
       this.asanaAPI,
-      this.projectId,
+      route.projectId,
       githubUrl,
       repository,
       creator,
@@ -53,9 +113,47 @@ export class IssueSync {
       taskContent.labels,
       taskContent.name,
       payload._cachedAsanaTaskGid, // Pass cached GID if available
-      mergeStatus
+      mergeStatus,
+      route.sectionId,
+      mergeStatus === 'merged' ? 'merged' : source.state,
+      { review: taskContent.reviewStatus, ci: taskContent.ciStatus }
     );
     
+    // Sync the assignee when GitHub users are mapped to Asana users. Assignment events may
+    // clear it; other events only ever set it, so Asana-side assignments aren't undone.
+    const identityMap = loadIdentityMap(this.env);
+    if (identityMap && !isComment) {
+      const isAssignmentEvent = payload.action === 'assigned' || payload.action === 'unassigned';
+      await syncTaskAssignee(this.asanaAPI, task.gid, source.assignees || [], identityMap, isAssignmentEvent);
+    }
+    
+    // Participants with Asana accounts follow the task
+    if (identityMap) {
+      await addTaskFollowers(this.asanaAPI, task.gid, taskContent.participants, identityMap);
+    }
+    
+    // Milestone due date and milestone task dependency
+    await syncTaskMilestone(this.asanaAPI, task.gid, route.projectId, payload, source, this.env);
+    
+    // Task-list items become subtasks (comments can't change the body, so skip those)
+    if (taskListSubtasksEnabled(this.env) && !isComment) {
+      await this.syncSubtasks(task.gid, source.body, payload.repository);
+    }
+    
+    // Issues tracked in the task list become dependencies, and issues a PR closes depend on
+    // the PR. Tasks synced only because another task references them don't follow their own
+    // references.
+    let references = null;
+    if (!isComment && !payload._skipReferences) {
+      // GitHub only closes the referenced issues when the PR is merged into the default branch
+      const justMerged = payload.action === 'closed' && mergeStatus === 'merged' &&
+        source.base?.ref === payload.repository.default_branch;
+      references = this.collectReferences(task.gid, githubUrl, source, payload.repository, isPullRequest, justMerged, taskContent.closingIssueUrls);
+    }
+    if (references && !this.deferReferences) {
+      await this.syncReferences(references, await this.resolveReferences(references));
+    }
+    
     // Step 2: Update task description with markdown content and image processing
     await updateTaskDescription(
       this.asanaAPI,
@@ -64,6 +162,16 @@ export class IssueSync {
       true // Enable image processing
     );
     
+    // Comments become Asana comment stories when configured to
+    if (commentStoriesEnabled(this.env)) {
+      let storyPayload = isComment ? payload : null;
+      if (eventType === GithubEventType.PULL_REQUEST_REVIEW && payload.review?.body) {
+        // A review's summary is its story; edits and dismissals change the story
+        storyPayload = { action: payload.action === 'submitted' ? 'created' : 'edited', comment: payload.review };
+      }
+      await this.syncCommentStories(task.gid, storyPayload, taskContent.comments);
+    }
+    
     // Step 3: Handle completion status (only for non-comment events)
     let result = task.permalink_url;
     if (!isComment) {
@@ -80,9 +188,307 @@ export class IssueSync {
     let actionName = payload.action || eventType;
     if (isComment && payload.action === 'created') {
       actionName = eventType === GithubEventType.PULL_REQUEST_REVIEW_COMMENT ? 'pr_comment_created' : 'comment_created';
+    } else if (eventType === GithubEventType.PULL_REQUEST_REVIEW) {
+      actionName = `review_${payload.action}`;
+    }
+    
+    const processed = { status: 'processed', action: actionName, result, taskGid: task.gid };
+    return references && this.deferReferences ? { ...processed, references } : processed;
+  }
+  
+  async syncCommentStories(taskGid, commentPayload, comments) {
+    // Without storage (bulk imports, local syncs) nothing would remember the stories: the
+    // next sync would post them again, and Asana's story webhooks would mirror them to GitHub
+    if (!this.storage) {
+      console.log(`ℹ️  No coordinator storage, not posting comment stories for task ${taskGid}`);
+      return;
+    }
+    
+    try {
+      // GitHub comment key (see commentStoryKey) -> Asana story GID
+      const commentStories = await this.storage.get('commentStories') || {};
+      const saveMapping = () => this.storage.put('commentStories', commentStories);
+      
+      // The comment this event is about; comments mirrored from Asana are already stories
+      const comment = commentPayload?.comment;
+      const isMirrored = comment && (commentPayload._mirroredCommentIds || []).includes(comment.id);
+      
+      if (comment && !isMirrored) {
+        const key = commentStoryKey(comment);
+        const storyGid = commentStories[key];
+        
+        if (commentPayload.action === 'deleted') {
+          if (storyGid) {
+            await this.asanaAPI.deleteStory(storyGid);
+            delete commentStories[key];
+            await saveMapping();
+            console.log(`🗑️  Deleted story ${storyGid} for removed GitHub comment ${comment.id}`);
+          }
+        } else if (storyGid) {
+          if (commentPayload.action === 'edited') {
+            await updateCommentStory(this.asanaAPI, taskGid, storyGid, comment);
+          }
+        } else {
+          commentStories[key] = await createCommentStory(this.asanaAPI, taskGid, comment);
+          await saveMapping();
+        }
+      }
+      
+      // Backfill comments that don't have a story yet (older comments, missed deliveries)
+      const missing = comments.filter(existing => {
+        const key = commentStoryKey(existing);
+        return !commentStories[key] && !(commentPayload?.action === 'deleted' && key === commentStoryKey(comment));
+      });
+      
+      for (const existing of missing.slice(0, MAX_BACKFILL_STORIES)) {
+        commentStories[commentStoryKey(existing)] = await createCommentStory(this.asanaAPI, taskGid, existing);
+        await saveMapping();
+      }
+      if (missing.length > MAX_BACKFILL_STORIES) {
+        console.log(`ℹ️  ${missing.length - MAX_BACKFILL_STORIES} comments left to post as stories on later syncs`);
+      }
+    } catch (error) {
+      console.error(`❌ Error syncing comment stories for task ${taskGid}:`, error.message);
+    }
+  }
+  
+  async syncSubtasks(taskGid, body, repository) {
+    try {
+      // Items that track other issues are synced as dependencies instead
+      const isTrackedIssue = trackedIssueItemFilter(this.env, repository.owner.login, repository.name);
+      const items = parseTaskList(body).filter(item => !isTrackedIssue?.(item.text));
+      const previous = this.storage ? await this.storage.get('taskListSubtasks') : null;
+      
+      if (items.length === 0 && !previous?.length) {
+        return;
+      }
+      
+      const mapping = await syncTaskListSubtasks(this.asanaAPI, taskGid, items, previous || null);
+      if (this.storage) {
+        await this.storage.put('taskListSubtasks', mapping);
+      }
+    } catch (error) {
+      console.error(`❌ Error syncing task-list subtasks for task ${taskGid}:`, error.message);
+    }
+  }
+  
+  /**
+   * The references a sync follows, or null when there are none to follow
+   * @returns {Object|null} { taskGid, githubUrl, tracked, closing } where tracked is a list of
+   *   references or null, and closing is { refs, justMerged } or null
+   */
+  collectReferences(taskGid, githubUrl, source, repository, isPullRequest, justMerged, linkedIssueUrls = []) {
+    const { login: owner } = repository.owner;
+    
+    const tracked = trackedIssueDependenciesEnabled(this.env)
+      ? parseTrackedIssues(source.body, owner, repository.name)
+      : null;
+    
+    let closing = null;
+    if (isPullRequest && githubAuthConfigured(this.env)) {
+      // linkedIssueUrls are issues GitHub knows the PR closes, including ones linked in the sidebar
+      const refs = parseClosingReferences(source.body, owner, repository.name);
+      const refKeys = new Set(refs.map(referenceKey));
+      for (const ref of linkedIssueUrls.map(url => parseGithubUrl(url)).filter(Boolean)) {
+        if (!refKeys.has(referenceKey(ref))) {
+          refKeys.add(referenceKey(ref));
+          refs.push(ref);
+        }
+      }
+      closing = { refs, justMerged };
+    }
+    
+    return tracked || closing ? { taskGid, githubUrl, tracked, closing } : null;
+  }
+  
+  // Find (or create) the tasks of every reference; this may sync other issues through their
+  // coordinators, so the coordinator calls it without holding its own lock. References already
+  // linked by an earlier sync keep their stored task, so only new ones go to GitHub.
+  async resolveReferences(references) {
+    const tracked = await this.storedLinks('trackedIssueDependencies');
+    const closing = await this.storedLinks('closingIssueTasks');
+    const refs = [
+      ...(references.tracked || []).filter(ref => !tracked.has(referenceKey(ref))),
+      ...(references.closing?.refs || []).filter(ref => !closing.has(referenceKey(ref)))
+    ];
+    const resolution = await this.resolveReferencedTasks(references.taskGid, references.githubUrl, refs);
+    
+    // Only issues are ever stored as closing links; tracked links don't record which kind they are
+    for (const ref of references.closing?.refs || []) {
+      const key = referenceKey(ref);
+      if (closing.has(key) && !resolution.resolved.has(key)) {
+        const githubUrl = `https://github.com/${ref.owner}/${ref.repo}/issues/${ref.number}`;
+        resolution.resolved.set(key, { taskGid: closing.get(key), githubUrl });
+      }
+    }
+    for (const ref of references.tracked || []) {
+      const key = referenceKey(ref);
+      if (tracked.has(key) && !resolution.resolved.has(key)) {
+        resolution.resolved.set(key, { taskGid: tracked.get(key), githubUrl: null });
+      }
+    }
+    
+    return resolution;
+  }
+  
+  // Stored reference links as reference key -> task GID; older versions stored bare task
+  // GIDs, which can't be matched to a reference
+  async storedLinks(storageKey) {
+    const previous = this.storage ? await this.storage.get(storageKey) : null;
+    return new Map((previous || [])
+      .filter(entry => typeof entry !== 'string')
+      .map(link => [link.key, link.taskGid]));
+  }
+  
+  async syncReferences(references, resolution) {
+    if (references.tracked) {
+      await this.syncTrackedIssues(references.taskGid, references.tracked, resolution);
+    }
+    if (references.closing) {
+      await this.syncClosingIssues(references.taskGid, references.closing, resolution);
+    }
+  }
+  
+  async syncTrackedIssues(taskGid, refs, resolution) {
+    try {
+      const previous = this.storage ? await this.storage.get('trackedIssueDependencies') : null;
+      
+      if (refs.length === 0 && !previous?.length) {
+        return;
+      }
+      
+      const links = referenceLinks(refs, resolution, previous);
+      
+      await syncTrackedIssueDependencies(this.asanaAPI, taskGid, links.map(link => link.taskGid), linkedTaskGids(previous));
+      if (this.storage) {
+        await this.storage.put('trackedIssueDependencies', links);
+      }
+    } catch (error) {
+      console.error(`❌ Error syncing tracked issues for task ${taskGid}:`, error.message);
+    }
+  }
+  
+  async syncClosingIssues(taskGid, { refs, justMerged }, resolution) {
+    try {
+      const previous = this.storage ? await this.storage.get('closingIssueTasks') : null;
+      
+      if (refs.length === 0 && !previous?.length) {
+        return;
+      }
+      
+      // Only issues can be closed by a PR; the resolution covers tracked references too
+      const keys = new Set(refs.map(referenceKey));
+      const issues = new Map([...resolution.resolved]
+        .filter(([key, reference]) => keys.has(key) && parseGithubUrl(reference.githubUrl)?.type === 'issue'));
+      const links = referenceLinks(refs, { ...resolution, resolved: issues }, previous);
+      
+      await syncClosingIssueDependencies(this.asanaAPI, taskGid, links.map(link => link.taskGid), linkedTaskGids(previous));
+      if (this.storage) {
+        await this.storage.put('closingIssueTasks', links);
+      }
+      
+      if (justMerged) {
+        await completeClosingIssueTasks(this.asanaAPI, [...issues.values()].map(reference => reference.taskGid));
+      }
+    } catch (error) {
+      console.error(`❌ Error syncing closed issues for task ${taskGid}:`, error.message);
+    }
+  }
+  
+  /**
+   * Find (or create) the tasks for issues referenced from this one, skipping self-references
+   * @returns {Promise<Object>} { resolved, failedKeys }: reference key -> { taskGid, githubUrl },
+   *   and the keys of references that couldn't be resolved (GitHub errors, rate limits)
+   */
+  async resolveReferencedTasks(taskGid, githubUrl, refs) {
+    const self = parseGithubUrl(githubUrl);
+    const selfKey = self ? referenceKey(self) : null;
+    const resolved = new Map();
+    const failedKeys = new Set();
+    const syncLocally = (eventType, payload) =>
+      new IssueSync(this.asanaAPI, this.env).handleEvent(eventType, payload);
+    
+    for (const ref of refs) {
+      const key = referenceKey(ref);
+      if (key === selfKey || resolved.has(key) || failedKeys.has(key)) continue;
+      
+      try {
+        const reference = await ensureTaskForReference(ref, this.env, syncLocally, { cache: this.storage });
+        if (!reference) {
+          failedKeys.add(key);
+        } else if (reference.taskGid !== taskGid) {
+          resolved.set(key, reference);
+        }
+      } catch (error) {
+        console.error(`❌ Error resolving ${ref.owner}/${ref.repo}#${ref.number}:`, error.message);
+        failedKeys.add(key);
+      }
     }
     
-    return { status: 'processed', action: actionName, result, taskGid: task.gid };
+    return { resolved, failedKeys };
+  }
+  
+  // CI events arrive already resolved to one of the commit's pull requests; PRs without a
+  // task are left for their own pull_request events to create
+  async handleCiEvent(eventType, payload) {
+    const pullRequest = payload.pull_request;
+    const action = `${eventType}_${payload.action}`;
+    
+    const taskGid = await this.findExistingTaskGid(payload, pullRequest);
+    if (!taskGid) {
+      console.log(`ℹ️  No task found for ${pullRequest.html_url}, ignoring ${eventType} event`);
+      return { status: 'ignored', action, reason: 'no task' };
+    }
+    
+    const { owner, repo } = parseGithubUrl(pullRequest.html_url);
+    const checks = await getCommitChecks(this.githubAPI, owner, repo, pullRequest.head?.sha);
+    const ciStatus = await syncTaskCiStatus(this.asanaAPI, taskGid, checks, this.env);
+    
+    return { status: 'processed', action, ciStatus, taskGid };
+  }
+  
+  async handleIssueDeleted(payload) {
+    const taskGid = await this.findExistingTaskGid(payload, payload.issue);
+    if (!taskGid) {
+      console.log(`ℹ️  No task found for deleted issue ${payload.issue.html_url}`);
+      return { status: 'ignored', action: 'deleted', reason: 'no task' };
+    }
+    
+    // Archiving completes the task; the Asana webhook for that must not be written back to
+    // an issue that no longer exists
+    if (this.storage) {
+      await this.storage.put('githubIssueDeleted', true);
+    }
+    
+    await archiveDeletedIssueTask(this.asanaAPI, taskGid);
+    return { status: 'processed', action: 'deleted', taskGid };
+  }
+  
+  // The task already synced for an issue/PR, without creating one: the coordinator's cached
+  // GID if it has one, otherwise a lookup by GitHub URL in the routed project
+  async findExistingTaskGid(payload, source) {
+    if (payload._cachedAsanaTaskGid) {
+      return payload._cachedAsanaTaskGid;
+    }
+    
+    const repoFullName = payload.repository.full_name || `${payload.repository.owner.login}/${payload.repository.name}`;
+    const route = resolveRoute(await loadRoutingConfig(this.env), repoFullName, source.labels || []);
+    if (!route.projectId) {
+      return null;
+    }
+    
+    const task = await findTaskByGithubUrl(this.asanaAPI, route.projectId, source.html_url, this.env);
+    return task?.gid || null;
+  }
+  
+  async handleMilestoneEvent(payload) {
+    const repoFullName = payload.repository.full_name || `${payload.repository.owner.login}/${payload.repository.name}`;
+    const route = resolveRoute(await loadRoutingConfig(this.env), repoFullName);
+    if (!route.projectId) {
+      throw new Error(`No Asana project configured for ${repoFullName}`);
+    }
+    
+    return await handleMilestoneEvent(this.asanaAPI, route.projectId, payload, this.env);
   }
   
   async handleIssueEvent(payload) {
@@ -97,7 +503,41 @@ export class IssueSync {
     return this.handleEvent('pull_request', payload);
   }
   
+  async handlePullRequestReviewEvent(payload) {
+    return this.handleEvent('pull_request_review', payload);
+  }
+  
   async handlePullRequestCommentEvent(payload) {
     return this.handleEvent('pull_request_comment', payload);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * The links to store for a set of references: the resolved ones, plus, for references that
+ * couldn't be resolved this time, whatever they were linked to before, so a GitHub error
+ * doesn't unlink them
+ * @param {Array} refs - References still in the body
+ * @param {Object} resolution - From resolveReferencedTasks
+ * @param {Array|null} previous - Stored links; older versions stored bare task GIDs
+ * @returns {Array} Links as { key, taskGid }
+ */
+function referenceLinks(refs, { resolved, failedKeys }, previous) {
+  const links = refs
+    .map(ref => ({ key: referenceKey(ref), taskGid: resolved.get(referenceKey(ref))?.taskGid }))
+    .filter(link => link.taskGid);
+  
+  for (const entry of previous || []) {
+    const link = typeof entry === 'string' ? { key: null, taskGid: entry } : entry;
+    // Without a key there's no telling which reference a link came from, so keep it on any failure
+    const failed = link.key ? failedKeys.has(link.key) : failedKeys.size > 0;
+    if (failed && !links.some(existing => existing.taskGid === link.taskGid)) {
+      links.push(link);
+    }
+  }
+  
+  return links;
+}
+
+function linkedTaskGids(previous) {
+  return previous ? previous.map(entry => (typeof entry === 'string' ? entry : entry.taskGid)) : null;
+}
@@ -0,0 +1,130 @@
+// Import the existing issues and pull requests of a repository, e.g. once the GitHub App is installed on it
+import { createGitHubAPI } from './github-app-auth.js';
+import { GithubEventType } from './constants.js';
+
+/**
+ * Which issues and pull requests to import for new repositories: `open` (default),
+ * `closed`, `all`, or `none` to skip the import
+ * @param {Object} env - Environment variables
+ * @returns {string} GitHub state filter or "none"
+ */
+export function repositoryImportState(env) {
+  const state = env.INSTALLATION_IMPORT_STATE || 'open';
+  return ['open', 'closed', 'all', 'none'].includes(state) ? state : 'open';
+}
+
+/**
+ * Start the import of a repository. With an IMPORT_QUEUE binding the import runs in the
+ * queue consumer, which has time for large repositories; otherwise it runs after the
+ * response through ctx.waitUntil, which may be cut short for large ones.
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} ctx - Execution context of the webhook request
+ * @param {Object} job - { owner, repo, installationId, state, deliveryId }
+ * @returns {Promise<string>} "queued" or "started"
+ */
+export async function queueRepositoryImport(env, ctx, job) {
+  if (env.IMPORT_QUEUE) {
+    await env.IMPORT_QUEUE.send(job);
+    console.log(`📥 Queued import of ${job.owner}/${job.repo}`);
+    return 'queued';
+  }
+  
+  ctx.waitUntil(importRepository(env, job).catch(error => {
+    console.error(`❌ Import of ${job.owner}/${job.repo} failed:`, error.message);
+  }));
+  console.log(`📥 Started import of ${job.owner}/${job.repo}`);
+  return 'started';
+}
+
+/**
+ * Sync every issue and pull request of a repository as if it had just been opened, oldest
+ * first, each through its own IssueCoordinator so existing tasks are updated rather than
+ * duplicated. Issues are imported before pull requests, one page at a time. On the queue each
+ * page is a message of its own, so a retry only redoes the page that failed; without a
+ * queue the pages are imported one after the other. Each issue's coordinator dedupes on the
+ * installation webhook's delivery ID suffixed with the issue number, so a redelivered
+ * installation or a retried page doesn't sync the same issues again.
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} job - { owner, repo, installationId, state, deliveryId, list, page }; `list`
+ *   ("issues" or "pulls") and `page` (API path) say where to continue, and are left out to start
+ * @returns {Promise<Object>} { imported, errors } for the pages imported by this call
+ */
+export async function importRepository(env, job) {
+  const summary = { imported: 0, errors: 0 };
+  let current = job;
+  
+  while (current) {
+    const { next, imported, errors } = await importRepositoryPage(env, current);
+    summary.imported += imported;
+    summary.errors += errors;
+    
+    if (next && env.IMPORT_QUEUE) {
+      await env.IMPORT_QUEUE.send(next);
+      break;
+    }
+    current = next;
+  }
+  
+  return summary;
+}
+
+/**
+ * Import a single page of issues or pull requests
+ * @param {Object} env - Environment variables and bindings
+ * @param {Object} job - Import job, see importRepository
+ * @returns {Promise<Object>} { imported, errors, next } where next is the job for the next page, if any
+ */
+async function importRepositoryPage(env, job) {
+  const { owner, repo, installationId, state = 'open', deliveryId = null, list = 'issues', page = null } = job;
+  const githubAPI = createGitHubAPI(env, { installationId, owner, repo });
+  const repository = await githubAPI.getRepository(owner, repo);
+  const installation = installationId ? { id: installationId } : undefined;
+  
+  const { body, next } = await githubAPI.send('GET',
+    page || `/repos/${owner}/${repo}/${list}?state=${state}&sort=created&direction=asc&per_page=100`);
+  
+  // The issues endpoint lists pull requests too, but not as full pull request objects
+  const items = list === 'issues'
+    ? body.filter(issue => !issue.pull_request).map(issue => [GithubEventType.ISSUES, { issue }])
+    // Listed pull requests have merged_at but no `merged`, which the sync reads the merge status from
+    : body.map(pullRequest => [GithubEventType.PULL_REQUEST, { pull_request: { ...pullRequest, merged: !!pullRequest.merged_at } }]);
+  console.log(`📥 Importing ${items.length} ${list === 'issues' ? 'issues' : 'pull requests'} from ${owner}/${repo}`);
+  
+  const summary = { imported: 0, errors: 0 };
+  for (const [eventType, item] of items) {
+    const { html_url: githubUrl, number } = item.issue || item.pull_request;
+    
+    try {
+      const durableObject = env.ISSUE_COORDINATOR.get(env.ISSUE_COORDINATOR.idFromName(githubUrl));
+      const response = await durableObject.fetch(new Request('https://internal/', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          eventType,
+          payload: { action: 'opened', ...item, repository, installation },
+          headers: deliveryId ? { 'x-github-delivery': `${deliveryId}:${number}` } : {}
+        })
+      }));
+      
+      if (!response.ok) {
+        throw new Error((await response.json()).error);
+      }
+      summary.imported++;
+    } catch (error) {
+      console.error(`❌ Error importing ${githubUrl}:`, error.message);
+      summary.errors++;
+    }
+  }
+  
+  let nextJob = null;
+  if (next) {
+    nextJob = { ...job, list, page: next };
+  } else if (list === 'issues') {
+    nextJob = { ...job, list: 'pulls', page: null };
+  }
+  
+  console.log(`✅ Imported a page of ${owner}/${repo}: ${summary.imported} synced, ${summary.errors} errors${nextJob ? '' : ', import complete'}`);
+  return { ...summary, next: nextJob };
+}
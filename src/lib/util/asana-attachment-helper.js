@@ -48,23 +48,16 @@ async function findExistingImageAttachment(asanaAPI, parentGid, hashedFilename)
   try {
     console.log(`🔍 Checking for existing attachment: ${hashedFilename}`);
     
-    // Get existing attachments for this task
-    const attachment_opts = {
-      'parent': parentGid,
+    // Look through the task's attachments for one with the same hashed filename
+    const attachments = asanaAPI.iterateAttachmentsForObject(parentGid, {
       'opt_fields': 'gid,name,resource_subtype'
-    };
-    
-    const attachments_response = await asanaAPI.getAttachmentsForObject(parentGid, attachment_opts);
-    const existing_attachments = attachments_response.data || [];
-    
-    // Look for an attachment with the same hashed filename
-    const existingAttachment = existing_attachments.find(att => 
-      att.name === hashedFilename && att.resource_subtype === 'asana'
-    );
+    });
     
-    if (existingAttachment) {
-      console.log(`✅ Found existing attachment: ${existingAttachment.gid}`);
-      return existingAttachment;
+    for await (const attachment of attachments) {
+      if (attachment.name === hashedFilename && attachment.resource_subtype === 'asana') {
+        console.log(`✅ Found existing attachment: ${attachment.gid}`);
+        return attachment;
+      }
     }
     
     console.log(`📝 No existing attachment found for: ${hashedFilename}`);
@@ -364,8 +357,10 @@ async function cleanupAttachmentStories(asanaAPI, taskGid, attachmentGids, attac
       'opt_fields': 'gid,resource_subtype,text,type,target'
     };
     
-    const storiesResponse = await asanaAPI.getStoriesForTask(taskGid, storiesOpts);
-    const stories = storiesResponse.data || [];
+    const stories = [];
+    for await (const story of asanaAPI.iterateStoriesForTask(taskGid, storiesOpts)) {
+      stories.push(story);
+    }
     
     // Debug: Log all stories to see what we have
     console.log(`   Found ${stories.length} total stories:`);
@@ -1,5 +1,18 @@
 // Custom field helper for Asana repository tagging
 
+// Custom field subtypes never change, so cache them for the lifetime of the isolate
+const customFieldSubtypes = new Map();
+
+// Get a custom field's resource_subtype ("text", "enum", "people", ...)
+export async function getCustomFieldSubtype(asanaAPI, customFieldGid) {
+  if (!customFieldSubtypes.has(customFieldGid)) {
+    const customField = await asanaAPI.getCustomField(customFieldGid, { opt_fields: "resource_subtype" });
+    customFieldSubtypes.set(customFieldGid, customField.resource_subtype);
+  }
+  
+  return customFieldSubtypes.get(customFieldGid);
+}
+
 export async function getCustomFieldForProject(asanaAPI, customFieldGid, repository) {
   try {
     if (!asanaAPI || !customFieldGid || !repository) {
@@ -0,0 +1,21 @@
+// Parse GitHub issue and pull request URLs
+
+/**
+ * Split a GitHub issue or pull request URL into its parts
+ * @param {string} url - GitHub URL, e.g. https://github.com/owner/repo/issues/123
+ * @returns {Object|null} { owner, repo, type, number } or null if the URL is not an issue/PR URL
+ */
+export function parseGithubUrl(url) {
+  const match = url?.match(/^https:\/\/github\.com\/([^\/]+)\/([^\/]+)\/(issues|pull)\/(\d+)/);
+  if (!match) {
+    return null;
+  }
+  
+  const [, owner, repo, kind, number] = match;
+  return {
+    owner,
+    repo,
+    type: kind === 'pull' ? 'pull_request' : 'issue',
+    number: parseInt(number, 10)
+  };
+}
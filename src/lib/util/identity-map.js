@@ -0,0 +1,64 @@
+// Map GitHub logins to Asana users
+
+// Resolved email -> user GID lookups, kept for the lifetime of the isolate
+const resolvedUserGids = new Map();
+
+/**
+ * Load the GitHub login -> Asana user map from the GITHUB_ASANA_USERS environment variable.
+ * Values can be Asana user GIDs or email addresses.
+ *
+ * Example: { "octocat": "1201234567890123", "hubot": "hubot@example.com" }
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Map keyed by lowercased GitHub login, or null when not configured
+ */
+export function loadIdentityMap(env) {
+  if (!env.GITHUB_ASANA_USERS) {
+    return null;
+  }
+  
+  try {
+    const raw = typeof env.GITHUB_ASANA_USERS === 'string'
+      ? JSON.parse(env.GITHUB_ASANA_USERS)
+      : env.GITHUB_ASANA_USERS;
+    
+    return Object.fromEntries(
+      Object.entries(raw).map(([login, asanaUser]) => [login.toLowerCase(), String(asanaUser)])
+    );
+  } catch (error) {
+    console.error('❌ GITHUB_ASANA_USERS is not valid JSON:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Look up the Asana user for a GitHub login
+ * @param {Object|null} identityMap - Map from loadIdentityMap
+ * @param {string} login - GitHub login
+ * @returns {string|null} Asana user GID or email, or null when unmapped
+ */
+export function toAsanaUser(identityMap, login) {
+  if (!identityMap || !login) {
+    return null;
+  }
+  return identityMap[login.toLowerCase()] || null;
+}
+
+/**
+ * Turn an Asana user identifier (GID or email) into a user GID
+ * @param {Object} asanaAPI - Asana API client
+ * @param {string} asanaUser - Asana user GID or email
+ * @returns {Promise<string>} Asana user GID
+ */
+export async function resolveAsanaUserGid(asanaAPI, asanaUser) {
+  if (/^\d+$/.test(asanaUser)) {
+    return asanaUser;
+  }
+  
+  if (!resolvedUserGids.has(asanaUser)) {
+    const user = await asanaAPI.getUser(asanaUser, { opt_fields: 'gid' });
+    resolvedUserGids.set(asanaUser, user.gid);
+  }
+  
+  return resolvedUserGids.get(asanaUser);
+}
@@ -0,0 +1,385 @@
+// Load the GitHub content of an issue or pull request: comments, reviews, review threads, files
+import { getPullRequestReviews } from "./pr-reviews.js";
+import { getReviewThreadStates } from "./pr-timeline.js";
+
+// Largest page GitHub's GraphQL API serves
+const PAGE_SIZE = 100;
+
+const AUTHOR_FIELDS = 'author { __typename login url }';
+
+const REVIEW_COMMENT_FIELDS = `
+  databaseId url body createdAt isMinimized minimizedReason diffHunk path outdated
+  line startLine originalLine originalStartLine
+  replyTo { databaseId }
+  pullRequestReview { databaseId }
+  ${AUTHOR_FIELDS}
+`;
+
+// Connections paged through by loadIssueContentGraphQL; prOnly ones don't exist on issues
+const CONNECTIONS = {
+  comments: {
+    prOnly: false,
+    fields: `databaseId url body createdAt isMinimized minimizedReason ${AUTHOR_FIELDS}`
+  },
+  reviews: {
+    prOnly: true,
+    fields: `databaseId url body state submittedAt ${AUTHOR_FIELDS}`
+  },
+  reviewThreads: {
+    prOnly: true,
+    fields: `
+      id
+      isResolved
+      isOutdated
+      comments(first: ${PAGE_SIZE}) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${REVIEW_COMMENT_FIELDS} }
+      }
+    `
+  },
+  files: {
+    prOnly: true,
+    fields: 'path additions deletions changeType'
+  }
+};
+
+const CONTENT_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!) {
+    repository(owner: $owner, name: $repo) {
+      issueOrPullRequest(number: $number) {
+        ... on Issue {
+          body
+          labels(first: ${PAGE_SIZE}) { nodes { name color } }
+          assignees(first: ${PAGE_SIZE}) { nodes { login url } }
+          ${connectionSelection('comments', false)}
+        }
+        ... on PullRequest {
+          body
+          labels(first: ${PAGE_SIZE}) { nodes { name color } }
+          assignees(first: ${PAGE_SIZE}) { nodes { login url } }
+          closingIssuesReferences(first: 50) { nodes { url } }
+          ${connectionSelection('comments', false)}
+          ${connectionSelection('reviews', false)}
+          ${connectionSelection('reviewThreads', false)}
+          ${connectionSelection('files', false)}
+        }
+      }
+    }
+  }
+`;
+
+// Further comments of a review thread that has more than fit in its first page
+const THREAD_COMMENTS_QUERY = `
+  query($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on PullRequestReviewThread {
+        comments(first: ${PAGE_SIZE}, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${REVIEW_COMMENT_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+function connectionSelection(name, paged) {
+  return `
+    ${name}(first: ${PAGE_SIZE}${paged ? ', after: $cursor' : ''}) {
+      totalCount
+      pageInfo { hasNextPage endCursor }
+      nodes { ${CONNECTIONS[name].fields} }
+    }
+  `;
+}
+
+function connectionPageQuery(name) {
+  const selection = connectionSelection(name, true);
+  return `
+    query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+      repository(owner: $owner, name: $repo) {
+        issueOrPullRequest(number: $number) {
+          ${CONNECTIONS[name].prOnly ? '' : `... on Issue { ${selection} }`}
+          ... on PullRequest { ${selection} }
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Load everything the task description needs, preferring a single GraphQL query and falling
+ * back to the REST API when GraphQL fails (e.g. a token without GraphQL access)
+ * @param {Object} githubAPI - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {Object} item - GitHub issue or pull request from the payload
+ * @param {boolean} isPullRequest - Whether item is a pull request
+ * @param {Object} limits - { maxComments, maxFiles }
+ * @returns {Promise<Object>} Content in REST shapes, see loadIssueContentRest
+ */
+export async function loadIssueContent(githubAPI, owner, repoName, item, isPullRequest, limits) {
+  try {
+    return await loadIssueContentGraphQL(githubAPI, owner, repoName, item.number, limits);
+  } catch (error) {
+    console.error("Error loading content through GraphQL, falling back to REST:", error.message);
+  }
+
+  return await loadIssueContentRest(githubAPI, owner, repoName, item, isPullRequest, limits);
+}
+
+/**
+ * Load the content with GraphQL: one query for the first page of everything, then follow-up
+ * pages only for lists that go past it. Results are converted to the REST API's shapes so
+ * the formatting code doesn't care where they came from.
+ * @param {Object} githubAPI - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {number} number - Issue or pull request number
+ * @param {Object} limits - { maxComments, maxFiles }
+ * @returns {Promise<Object>} Content, see loadIssueContentRest
+ */
+export async function loadIssueContentGraphQL(githubAPI, owner, repoName, number, limits) {
+  const variables = { owner, repo: repoName, number };
+  const data = await githubAPI.graphql(CONTENT_QUERY, variables);
+  const node = data.repository?.issueOrPullRequest;
+  if (!node) {
+    throw new Error(`${owner}/${repoName}#${number} not found`);
+  }
+
+  const isPullRequest = !!node.files;
+  const loadAll = (name, max = Infinity) => loadConnection(githubAPI, variables, name, node[name], max);
+
+  const comments = await loadAll('comments', limits.maxComments);
+  const content = {
+    body: node.body,
+    labels: node.labels.nodes,
+    assignees: node.assignees.nodes.map(toRestUser),
+    comments: comments.nodes.map(toRestComment),
+    commentsTruncated: comments.truncated,
+    reviews: [],
+    reviewsError: false,
+    reviewComments: [],
+    reviewCommentsTruncated: false,
+    threadStates: new Map(),
+    files: [],
+    filesTruncated: false,
+    closingIssueUrls: []
+  };
+
+  if (!isPullRequest) {
+    return content;
+  }
+
+  const reviews = await loadAll('reviews');
+  content.reviews = reviews.nodes.map(toRestReview);
+
+  const threads = await loadAll('reviewThreads');
+  for (const thread of threads.nodes) {
+    const { nodes: threadComments, truncated } = await loadThreadComments(githubAPI, thread, limits.maxComments);
+    if (threadComments.length === 0) continue;
+    if (truncated) {
+      content.reviewCommentsTruncated = true;
+    }
+
+    content.threadStates.set(threadComments[0].databaseId, { resolved: thread.isResolved, outdated: thread.isOutdated });
+    content.reviewComments.push(...threadComments.map(toRestReviewComment));
+  }
+  if (content.reviewComments.length > limits.maxComments) {
+    content.reviewComments = content.reviewComments
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .slice(0, limits.maxComments);
+    content.reviewCommentsTruncated = true;
+  }
+
+  const files = await loadAll('files', limits.maxFiles);
+  content.files = files.nodes.map(toRestFile);
+  content.filesTruncated = files.truncated;
+
+  content.closingIssueUrls = node.closingIssuesReferences.nodes.map(issue => issue.url);
+
+  return content;
+}
+
+/**
+ * Collect a connection's nodes, fetching further pages until it ends or `max` is reached
+ * @param {Object} githubAPI - GitHub API client
+ * @param {Object} variables - { owner, repo, number }
+ * @param {string} name - Connection name, a key of CONNECTIONS
+ * @param {Object} firstPage - The connection as returned by CONTENT_QUERY
+ * @param {number} max - Stop after this many nodes
+ * @returns {Promise<Object>} { nodes, truncated }
+ */
+async function loadConnection(githubAPI, variables, name, firstPage, max) {
+  const nodes = [...firstPage.nodes];
+  let pageInfo = firstPage.pageInfo;
+
+  while (pageInfo.hasNextPage && nodes.length < max) {
+    const data = await githubAPI.graphql(connectionPageQuery(name), { ...variables, cursor: pageInfo.endCursor });
+    const page = data.repository.issueOrPullRequest[name];
+    nodes.push(...page.nodes);
+    pageInfo = page.pageInfo;
+  }
+
+  return {
+    nodes: nodes.slice(0, max),
+    truncated: nodes.length > max || pageInfo.hasNextPage
+  };
+}
+
+/**
+ * Collect a review thread's comments, fetching further pages until it ends or `max` is reached
+ * @param {Object} githubAPI - GitHub API client
+ * @param {Object} thread - Review thread as returned by CONTENT_QUERY
+ * @param {number} max - Stop after this many comments
+ * @returns {Promise<Object>} { nodes, truncated }
+ */
+async function loadThreadComments(githubAPI, thread, max) {
+  const nodes = [...thread.comments.nodes];
+  let pageInfo = thread.comments.pageInfo;
+
+  while (pageInfo.hasNextPage && nodes.length < max) {
+    const data = await githubAPI.graphql(THREAD_COMMENTS_QUERY, { id: thread.id, cursor: pageInfo.endCursor });
+    const page = data.node.comments;
+    nodes.push(...page.nodes);
+    pageInfo = page.pageInfo;
+  }
+
+  return {
+    nodes: nodes.slice(0, max),
+    truncated: nodes.length > max || pageInfo.hasNextPage
+  };
+}
+
+/**
+ * Load the content with the REST API, one endpoint per list
+ * @param {Object} githubAPI - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {Object} item - GitHub issue or pull request from the payload
+ * @param {boolean} isPullRequest - Whether item is a pull request
+ * @param {Object} limits - { maxComments, maxFiles }
+ * @returns {Promise<Object>} { body, labels, assignees, comments, commentsTruncated, reviews,
+ *   reviewsError, reviewComments, reviewCommentsTruncated, threadStates, files, filesTruncated, closingIssueUrls,
+ *   filesError, commentsError }
+ */
+export async function loadIssueContentRest(githubAPI, owner, repoName, item, isPullRequest, limits) {
+  const { number } = item;
+  const content = {
+    body: item.body,
+    labels: item.labels || [],
+    assignees: item.assignees || [],
+    comments: [],
+    commentsTruncated: false,
+    reviews: [],
+    reviewsError: false,
+    reviewComments: [],
+    reviewCommentsTruncated: false,
+    threadStates: new Map(),
+    files: [],
+    filesTruncated: false,
+    closingIssueUrls: [],
+    filesError: false,
+    commentsError: false
+  };
+
+  if (isPullRequest) {
+    try {
+      const files = await githubAPI.paginate(`/repos/${owner}/${repoName}/pulls/${number}/files`, limits.maxFiles);
+      content.files = files.items;
+      content.filesTruncated = files.truncated;
+    } catch (error) {
+      console.error("Error fetching PR files:", error);
+      content.filesError = true;
+    }
+
+    const reviews = await getPullRequestReviews(githubAPI, owner, repoName, number);
+    content.reviews = reviews || [];
+    content.reviewsError = !reviews;
+  }
+
+  try {
+    const comments = await githubAPI.paginate(`/repos/${owner}/${repoName}/issues/${number}/comments`, limits.maxComments);
+    content.comments = comments.items;
+    content.commentsTruncated = comments.truncated;
+
+    if (isPullRequest) {
+      const reviewComments = await githubAPI.paginate(`/repos/${owner}/${repoName}/pulls/${number}/comments`, limits.maxComments);
+      content.reviewComments = reviewComments.items;
+      content.reviewCommentsTruncated = reviewComments.truncated;
+
+      if (reviewComments.items.length > 0) {
+        content.threadStates = await getReviewThreadStates(githubAPI, owner, repoName, number);
+      }
+    }
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    content.commentsError = true;
+  }
+
+  return content;
+}
+
+// GraphQL -> REST shape conversions
+
+function toRestUser(author) {
+  if (!author) return null;
+  return { login: author.login, html_url: author.url, type: author.__typename === 'Bot' ? 'Bot' : 'User' };
+}
+
+function toRestComment(comment) {
+  return {
+    id: comment.databaseId,
+    html_url: comment.url,
+    body: comment.body,
+    created_at: comment.createdAt,
+    user: toRestUser(comment.author),
+    is_minimized: comment.isMinimized,
+    minimized_reason: comment.minimizedReason
+  };
+}
+
+function toRestReview(review) {
+  return {
+    id: review.databaseId,
+    html_url: review.url,
+    body: review.body,
+    state: review.state,
+    submitted_at: review.submittedAt,
+    user: toRestUser(review.author)
+  };
+}
+
+function toRestReviewComment(comment) {
+  return {
+    ...toRestComment(comment),
+    path: comment.path,
+    diff_hunk: comment.diffHunk,
+    line: comment.line,
+    start_line: comment.startLine,
+    original_line: comment.originalLine,
+    original_start_line: comment.originalStartLine,
+    // REST leaves position empty once the commented line is gone from the diff
+    position: comment.outdated ? null : comment.line,
+    in_reply_to_id: comment.replyTo?.databaseId,
+    pull_request_review_id: comment.pullRequestReview?.databaseId
+  };
+}
+
+const FILE_STATUSES = {
+  ADDED: 'added',
+  MODIFIED: 'modified',
+  DELETED: 'removed',
+  RENAMED: 'renamed',
+  COPIED: 'copied',
+  CHANGED: 'changed'
+};
+
+function toRestFile(file) {
+  return {
+    filename: file.path,
+    status: FILE_STATUSES[file.changeType] || 'modified',
+    additions: file.additions,
+    deletions: file.deletions,
+    changes: file.additions + file.deletions
+  };
+}
@@ -0,0 +1,101 @@
+// Parse references to GitHub issues and pull requests
+import { parseTaskList } from './task-list.js';
+
+/**
+ * Parse a single issue reference: `#123`, `owner/repo#123` or a full GitHub issue/PR URL
+ * @param {string} text - Reference text, with nothing else around it
+ * @param {string} defaultOwner - Owner used for `#123` shorthand
+ * @param {string} defaultRepo - Repository used for `#123` shorthand
+ * @returns {Object|null} { owner, repo, number } or null if `text` is not a reference
+ */
+export function parseIssueReference(text, defaultOwner, defaultRepo) {
+  const trimmed = text.trim();
+  
+  const urlMatch = trimmed.match(/^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull)\/(\d+)\/?$/);
+  if (urlMatch) {
+    return { owner: urlMatch[1], repo: urlMatch[2], number: parseInt(urlMatch[3], 10) };
+  }
+  
+  const crossRepoMatch = trimmed.match(/^([\w.-]+)\/([\w.-]+)#(\d+)$/);
+  if (crossRepoMatch) {
+    return { owner: crossRepoMatch[1], repo: crossRepoMatch[2], number: parseInt(crossRepoMatch[3], 10) };
+  }
+  
+  const shortMatch = trimmed.match(/^#(\d+)$/);
+  if (shortMatch && defaultOwner && defaultRepo) {
+    return { owner: defaultOwner, repo: defaultRepo, number: parseInt(shortMatch[1], 10) };
+  }
+  
+  return null;
+}
+
+/**
+ * Key used to compare references regardless of how they were written
+ * @param {Object} ref - Reference from parseIssueReference
+ * @returns {string} owner/repo#number, lowercased
+ */
+export function referenceKey(ref) {
+  return `${ref.owner}/${ref.repo}#${ref.number}`.toLowerCase();
+}
+
+/**
+ * Find the issues an issue tracks: top-level task-list items that consist of nothing
+ * but an issue reference (`- [ ] #12`, `- [x] owner/repo#34`, `- [ ] https://github.com/...`).
+ * Duplicates are dropped.
+ * @param {string} markdown - Issue body
+ * @param {string} owner - Owner of the repository the issue lives in
+ * @param {string} repo - Repository the issue lives in
+ * @returns {Array<Object>} References as { owner, repo, number, checked }
+ */
+export function parseTrackedIssues(markdown, owner, repo) {
+  const seen = new Set();
+  const tracked = [];
+  
+  for (const item of parseTaskList(markdown)) {
+    const ref = parseIssueReference(item.text, owner, repo);
+    if (!ref || seen.has(referenceKey(ref))) continue;
+    
+    seen.add(referenceKey(ref));
+    tracked.push({ ...ref, checked: item.checked });
+  }
+  
+  return tracked;
+}
+
+// GitHub's closing keywords, e.g. "Fixes #12", "closes: owner/repo#12", "Resolved https://github.com/o/r/issues/12"
+const CLOSING_REFERENCE_REGEX = new RegExp(
+  '(?:^|[^\\w/])(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\\s+' +
+  '(https://github\\.com/[\\w.-]+/[\\w.-]+/issues/\\d+|[\\w.-]+/[\\w.-]+#\\d+|#\\d+)(?![\\w#/-])',
+  'gi'
+);
+
+/**
+ * Find the issues a pull request closes, using GitHub's closing keywords
+ * (close, closes, closed, fix, fixes, fixed, resolve, resolves, resolved; any case,
+ * optionally followed by a colon). Each reference needs its own keyword, as on GitHub.
+ * Code blocks and inline code are ignored. Duplicates are dropped.
+ * @param {string} markdown - Pull request body
+ * @param {string} owner - Owner of the repository the pull request lives in
+ * @param {string} repo - Repository the pull request lives in
+ * @returns {Array<Object>} References as { owner, repo, number }
+ */
+export function parseClosingReferences(markdown, owner, repo) {
+  if (!markdown) return [];
+  
+  const prose = markdown
+    .replace(/^\s*(```|~~~)[\s\S]*?^\s*\1/gm, '')
+    .replace(/`[^`\n]*`/g, '');
+  
+  const seen = new Set();
+  const refs = [];
+  
+  for (const match of prose.matchAll(CLOSING_REFERENCE_REGEX)) {
+    const ref = parseIssueReference(match[1], owner, repo);
+    if (!ref || seen.has(referenceKey(ref))) continue;
+    
+    seen.add(referenceKey(ref));
+    refs.push(ref);
+  }
+  
+  return refs;
+}
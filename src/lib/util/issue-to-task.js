@@ -1,10 +1,25 @@
 // Convert GitHub Issue to Asana Task format
-import { getPullRequestFiles } from "./pr-files.js";
+import { formatPullRequestFiles } from "./pr-files.js";
+import { loadIssueContent } from "./issue-content.js";
+import { createGitHubAPI, githubAuthConfigured, installationTarget } from "../github-app-auth.js";
+import { readLimit, formatMoreNotShown } from "./list-limits.js";
+import { computeReviewStatus, formatReviewsSection } from "./pr-reviews.js";
+import { getCommitChecks, computeCiStatus, formatFailingChecks } from "./pr-checks.js";
+import { buildPullRequestTimeline, formatPullRequestTimeline, formatTimestamp, formatCommentBody } from "./pr-timeline.js";
+import { collectParticipants } from "./participants.js";
+import { parseTaskList, replaceTaskList } from "./task-list.js";
+import { taskListSubtasksEnabled } from "../asana-task-subtasks.js";
+import { trackedIssueItemFilter } from "../asana-task-tracked-issues.js";
+import { commentStoriesEnabled } from "../asana-comment-stories.js";
 
-export async function issueToTask(payload, env, type = 'issue') {
+// Default caps for GITHUB_MAX_COMMENTS and GITHUB_MAX_PR_FILES
+const DEFAULT_MAX_COMMENTS = 500;
+const DEFAULT_MAX_PR_FILES = 300;
+
+export async function issueToTask(payload, env, type = 'issue', githubAPI = createGitHubAPI(env, installationTarget(payload))) {
   // Handle both issues and pull requests
   const item = type === 'pull_request' ? payload.pull_request : payload.issue;
-  const { title, number, body, html_url, user, created_at } = item;
+  const { title, number, html_url, user, created_at } = item;
   const repository = payload.repository;
   const owner = repository.owner;
   const repoName = repository.name;
@@ -29,73 +44,109 @@ export async function issueToTask(payload, env, type = 'issue') {
   
   let conversationText = `**Created by:** [@${user.login}](${user.html_url}) • ${pstDate} at ${pstTime} PST (${ukTime} GMT)\n`;
   conversationText += `**GitHub:** [${html_url}](${html_url})<hr>\n\n`;
-  conversationText += `${body || '_No description provided_'}`;
+  // Everything below needs GitHub API access
+  const limits = {
+    maxComments: readLimit(env.GITHUB_MAX_COMMENTS, DEFAULT_MAX_COMMENTS),
+    maxFiles: readLimit(env.GITHUB_MAX_PR_FILES, DEFAULT_MAX_PR_FILES)
+  };
+  const content = githubAuthConfigured(env)
+    ? await loadIssueContent(githubAPI, owner.login, repoName, item, type === 'pull_request', limits)
+    : null;
+  const body = content ? content.body : item.body;
+
+  // When task-list items are synced as subtasks, keep them out of the description
+  let description = body;
+  // (items tracking other issues stay, since those become dependencies rather than subtasks)
+  if (taskListSubtasksEnabled(env) && body) {
+    const isTrackedIssue = trackedIssueItemFilter(env, owner.login, repoName);
+    const itemCount = parseTaskList(body).filter(item => !isTrackedIssue?.(item.text)).length;
+    if (itemCount > 0) {
+      description = replaceTaskList(body, `_Checklist (${itemCount} items) synced as subtasks_`, isTrackedIssue);
+    }
+  }
+  conversationText += `${description || '_No description provided_'}`;
 
   // Add file changes for pull requests
+  if (type === 'pull_request' && content) {
+    conversationText += content.filesError
+      ? `\n\n_Error fetching file changes from GitHub_\n`
+      : await formatPullRequestFiles(owner.login, repoName, number, content.files, content.filesTruncated, item.changed_files);
+  }
+
+  // Add reviews and CI results for pull requests
+  const reviews = content?.reviews || [];
+  let reviewStatus = null;
+  let ciStatus = null;
   if (type === 'pull_request') {
-    const fileChanges = await getPullRequestFiles(owner.login, repoName, number, env.GITHUB_TOKEN);
-    conversationText += fileChanges;
+    // Without the reviews the status is unknown; null leaves the field as it is
+    reviewStatus = content && !content.reviewsError ? computeReviewStatus(reviews) : null;
+    conversationText += formatReviewsSection(reviews, item.requested_reviewers || []);
+    
+    const checks = await getCommitChecks(githubAPI, owner.login, repoName, item.head?.sha);
+    ciStatus = computeCiStatus(checks);
+    conversationText += formatFailingChecks(checks);
   }
 
-  // Get all comments (always fetch to ensure complete conversation history)
-  if (true) {
-    try {
-      // Use GitHub API to fetch comments
-      if (env.GITHUB_TOKEN) {
-        // Pull requests use different API endpoints for comments
-        const commentsUrl = type === 'pull_request' 
-          ? `https://api.github.com/repos/${owner.login}/${repoName}/pulls/${number}/comments`
-          : `https://api.github.com/repos/${owner.login}/${repoName}/issues/${number}/comments`;
-        const response = await fetch(commentsUrl, {
-          headers: {
-            'Authorization': `token ${env.GITHUB_TOKEN}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'cloudflare-github-asana-sync'
-          }
-        });
-        
-        if (response.ok) {
-          const comments = await response.json();
-          
-          if (comments.length > 0) {
-            conversationText += `\n\n<hr><h2>Comments</h2>\n\n`;
-            
-            for (const comment of comments) {
-              const username = comment.user?.login || 'ghost';
-              const userUrl = comment.user?.html_url || `https://github.com/${username}`;
-              
-              const commentDateTime = new Date(comment.created_at);
-              const commentPstDate = commentDateTime.toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' });
-              const commentPstTime = commentDateTime.toLocaleTimeString('en-US', { 
-                timeZone: 'America/Los_Angeles', 
-                hour: '2-digit', 
-                minute: '2-digit',
-                hour12: true 
-              });
-              const commentUkTime = commentDateTime.toLocaleTimeString('en-GB', { 
-                timeZone: 'Europe/London', 
-                hour: '2-digit', 
-                minute: '2-digit',
-                hour12: false 
-              });
-              
-              conversationText += `**[@${username}](${comment.html_url})** • ${commentPstDate} at ${commentPstTime} PST (${commentUkTime} GMT)\n`;
-              conversationText += `${comment.body}\n\n`;
-            }
-          }
-        } else {
-          console.error("Error fetching comments:", response.status, response.statusText);
-          conversationText += `\n\n_Error fetching comments from GitHub (${response.status}: ${response.statusText})_\n`;
+  // Comments, also used to work out who is taking part
+  let comments = [];
+
+  if (content?.commentsError) {
+    conversationText += `\n\n_Error fetching comments from GitHub_\n`;
+  } else if (content) {
+    // Skip comments we posted on behalf of Asana users; they already live on the task
+    const mirroredCommentIds = payload._mirroredCommentIds || [];
+    comments = content.comments.filter(comment => !mirroredCommentIds.includes(comment.id));
+    
+    if (type === 'pull_request') {
+      // Pull requests also have review comments on the diff; everything goes into one timeline
+      // In stories mode comments are posted to the task's activity feed instead
+      if (!commentStoriesEnabled(env)) {
+        conversationText += formatPullRequestTimeline(buildPullRequestTimeline(comments, reviews, content.reviewComments, content.threadStates));
+        if (content.commentsTruncated) {
+          conversationText += formatMoreNotShown(content.comments.length, item.comments, 'comments');
+        }
+        if (content.reviewCommentsTruncated) {
+          conversationText += formatMoreNotShown(content.reviewComments.length, item.review_comments, 'review comments');
         }
       }
-    } catch (error) {
-      console.error("Error fetching comments:", error);
-      conversationText += `\n\n_Error fetching comments from GitHub_\n`;
+      
+      comments = [...comments, ...content.reviewComments];
+      if (commentStoriesEnabled(env)) {
+        // Without the timeline, review summaries would show up nowhere; they become stories too
+        comments.push(...reviews.filter(review => review.body));
+      }
+    } else if (comments.length > 0 && !commentStoriesEnabled(env)) {
+      conversationText += `\n\n<hr><h2>Comments</h2>\n\n`;
+      
+      for (const comment of comments) {
+        const username = comment.user?.login || 'ghost';
+        conversationText += `**[@${username}](${comment.html_url})** • ${formatTimestamp(comment.created_at)}\n`;
+        conversationText += `${formatCommentBody(comment)}\n\n`;
+      }
+      
+      if (content.commentsTruncated) {
+        conversationText += formatMoreNotShown(content.comments.length, item.comments, 'comments');
+      }
     }
   }
   
   // Extract labels from the issue/PR
-  const labels = item.labels || [];
+  const labels = content?.labels || item.labels || [];
+
+  // Everyone involved, for adding Asana followers
+  const participants = collectParticipants(
+    { ...item, assignees: content?.assignees || item.assignees },
+    [...comments, ...reviews]
+  );
 
-  return { name, markdownContent: conversationText, labels };
+  return {
+    name,
+    markdownContent: conversationText,
+    labels,
+    participants,
+    reviewStatus,
+    ciStatus,
+    comments,
+    closingIssueUrls: content?.closingIssueUrls || []
+  };
 }
\ No newline at end of file
@@ -0,0 +1,24 @@
+// Caps on how many GitHub list items (comments, files) are synced
+
+/**
+ * Read a numeric cap (e.g. GITHUB_MAX_COMMENTS) from the environment
+ * @param {string|number|undefined} value - Environment value
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} The cap
+ */
+export function readLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? limit : fallback;
+}
+
+/**
+ * The note shown under a list that was cut off at its cap
+ * @param {number} shown - Items shown
+ * @param {number|undefined} total - Total items, when GitHub reports it
+ * @param {string} noun - Plural noun, e.g. "comments"
+ * @returns {string} Markdown note
+ */
+export function formatMoreNotShown(shown, total, noun) {
+  const hidden = total > shown ? total - shown : null;
+  return hidden ? `_${hidden} more ${noun} not shown_\n` : `_More ${noun} not shown_\n`;
+}
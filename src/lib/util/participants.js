@@ -0,0 +1,23 @@
+// Collect the GitHub users taking part in an issue or pull request
+
+/**
+ * Gather the logins of everyone involved: author, assignees, requested reviewers and
+ * comment and review authors. Bots are left out.
+ * @param {Object} item - GitHub issue or pull request
+ * @param {Array} comments - Comments (issue comments, PR review comments or reviews)
+ * @returns {Array<string>} Unique GitHub logins, in order of first appearance
+ */
+export function collectParticipants(item, comments = []) {
+  const users = [
+    item.user,
+    ...(item.assignees || []),
+    ...(item.requested_reviewers || []),
+    ...comments.map(comment => comment.user)
+  ];
+  
+  const logins = users
+    .filter(user => user?.login && user.type !== 'Bot' && !user.login.endsWith('[bot]'))
+    .map(user => user.login);
+  
+  return [...new Set(logins)];
+}
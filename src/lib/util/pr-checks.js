@@ -0,0 +1,86 @@
+// Fetch CI results for a pull request's head commit and summarize them
+
+// CI status field options
+export const CI_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILURE: 'failure'
+});
+
+// Check run conclusions that count as a failed check
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'];
+
+/**
+ * Fetch the check runs and commit statuses for a commit
+ * @param {Object} githubAPI - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} sha - Commit SHA (the PR's head.sha)
+ * @returns {Promise<Array|null>} Checks as { name, state, url }, or null without a token or on error
+ */
+export async function getCommitChecks(githubAPI, owner, repoName, sha) {
+  if (!githubAPI.isAuthenticated || !sha) {
+    return null;
+  }
+
+  try {
+    const [checkRunsResult, combinedStatus] = await Promise.all([
+      githubAPI.request('GET', `/repos/${owner}/${repoName}/commits/${sha}/check-runs?per_page=100`),
+      githubAPI.request('GET', `/repos/${owner}/${repoName}/commits/${sha}/status`)
+    ]);
+
+    const checkRuns = (checkRunsResult.check_runs || [])
+      .filter(run => run.conclusion !== 'stale')
+      .map(run => ({
+        name: run.name,
+        state: run.status !== 'completed'
+          ? CI_STATUS.PENDING
+          : FAILED_CONCLUSIONS.includes(run.conclusion) ? CI_STATUS.FAILURE : CI_STATUS.SUCCESS,
+        url: run.html_url || run.details_url
+      }));
+
+    // The combined status already holds only the latest status per context
+    const statuses = (combinedStatus.statuses || []).map(status => ({
+      name: status.context,
+      state: status.state === 'error' ? CI_STATUS.FAILURE : status.state,
+      url: status.target_url
+    }));
+
+    return [...checkRuns, ...statuses];
+  } catch (error) {
+    console.error("Error fetching CI checks:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Overall CI status: any failing check fails CI, otherwise anything still running keeps it pending
+ * @param {Array|null} checks - Checks from getCommitChecks
+ * @returns {string|null} One of CI_STATUS, or null when the commit has no checks
+ */
+export function computeCiStatus(checks) {
+  if (!checks || checks.length === 0) return null;
+
+  if (checks.some(check => check.state === CI_STATUS.FAILURE)) return CI_STATUS.FAILURE;
+  if (checks.some(check => check.state === CI_STATUS.PENDING)) return CI_STATUS.PENDING;
+  return CI_STATUS.SUCCESS;
+}
+
+/**
+ * Format the list of failing checks for the task description
+ * @param {Array|null} checks - Checks from getCommitChecks
+ * @returns {string} Markdown section, or '' when nothing is failing
+ */
+export function formatFailingChecks(checks) {
+  const failing = (checks || []).filter(check => check.state === CI_STATUS.FAILURE);
+  if (failing.length === 0) {
+    return '';
+  }
+
+  let checksText = `\n\n<hr><h2>Failing Checks (${failing.length})</h2>\n\n`;
+  for (const check of failing) {
+    checksText += check.url ? `- ❌ [${check.name}](${check.url})\n` : `- ❌ ${check.name}\n`;
+  }
+
+  return checksText;
+}
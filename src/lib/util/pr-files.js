@@ -1,36 +1,23 @@
-// Fetch and format pull request file changes
-export async function getPullRequestFiles(owner, repoName, number, githubToken) {
-  if (!githubToken) {
-    return '';
-  }
+// Format pull request file changes
+import { formatMoreNotShown } from "./list-limits.js";
 
+/**
+ * Format the "Files Changed" section of a pull request's task description
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {number} number - Pull request number
+ * @param {Array} files - Changed files (REST shape), possibly cut off at a cap
+ * @param {boolean} truncated - Whether more files exist than were passed
+ * @param {number} totalFiles - The PR's changed_files, used to say how many were left out
+ * @returns {Promise<string>} Markdown section, or '' without files
+ */
+export async function formatPullRequestFiles(owner, repoName, number, files, truncated = false, totalFiles = undefined) {
   try {
-    const filesUrl = `https://api.github.com/repos/${owner}/${repoName}/pulls/${number}/files`;
-    const response = await fetch(filesUrl, {
-      headers: {
-        'Authorization': `token ${githubToken}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'cloudflare-github-asana-sync'
-      }
-    });
-    
-    if (!response.ok) {
-      console.error("Error fetching PR files:", response.status, response.statusText);
-      return `\n\n_Error fetching file changes from GitHub (${response.status}: ${response.statusText})_\n`;
-    }
-
-    const files = await response.json();
-    
-    // Log the first file to see what fields are available
-    if (files.length > 0) {
-      console.log('Sample PR file data:', JSON.stringify(files[0], null, 2));
-    }
-    
     if (files.length === 0) {
       return '';
     }
 
-    let fileChangesText = `\n\n<hr><h2>Files Changed (${files.length})</h2>\n\n`;
+    let fileChangesText = `\n\n<hr><h2>Files Changed (${truncated && totalFiles ? totalFiles : files.length})</h2>\n\n`;
     
     // Group files by status
     const addedFiles = files.filter(f => f.status === 'added');
@@ -77,9 +64,14 @@ export async function getPullRequestFiles(owner, repoName, number, githubToken)
     if (renamedFiles.length > 0) {
       fileChangesText += `**Renamed (${renamedFiles.length}):**\n`;
       for (const file of renamedFiles) {
-        const oldFileLink = `[${file.previous_filename}](${await createPRDiffLink(file.previous_filename)})`;
         const newFileLink = `[${file.filename}](${await createPRDiffLink(file.filename)})`;
-        fileChangesText += `- ${oldFileLink} → ${newFileLink}\n`;
+        // GraphQL doesn't report the old name
+        if (file.previous_filename) {
+          const oldFileLink = `[${file.previous_filename}](${await createPRDiffLink(file.previous_filename)})`;
+          fileChangesText += `- ${oldFileLink} → ${newFileLink}\n`;
+        } else {
+          fileChangesText += `- ${newFileLink}\n`;
+        }
       }
       fileChangesText += '\n';
     }
@@ -97,11 +89,14 @@ export async function getPullRequestFiles(owner, repoName, number, githubToken)
     const totalAdditions = files.reduce((sum, file) => sum + file.additions, 0);
     const totalDeletions = files.reduce((sum, file) => sum + file.deletions, 0);
     fileChangesText += `**Summary:** +${totalAdditions}/-${totalDeletions} lines across ${files.length} files\n`;
+    if (truncated) {
+      fileChangesText += formatMoreNotShown(files.length, totalFiles, 'files');
+    }
     
     return fileChangesText;
     
   } catch (error) {
-    console.error("Error fetching PR files:", error);
+    console.error("Error formatting PR files:", error);
     return `\n\n_Error fetching file changes from GitHub_\n`;
   }
 }
\ No newline at end of file
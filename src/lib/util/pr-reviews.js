@@ -0,0 +1,98 @@
+// Fetch pull request reviews and summarize where review stands
+
+// Review status field options, in order of precedence
+export const REVIEW_STATUS = Object.freeze({
+  CHANGES_REQUESTED: 'changes requested',
+  APPROVED: 'approved',
+  DISMISSED: 'dismissed',
+  PENDING: 'pending'
+});
+
+const REVIEW_STATE_LABELS = {
+  APPROVED: '✅ Approved',
+  CHANGES_REQUESTED: '❌ Changes requested',
+  DISMISSED: '🚫 Dismissed'
+};
+
+/**
+ * Fetch the reviews submitted on a pull request
+ * @param {Object} githubAPI - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {number} number - Pull request number
+ * @returns {Promise<Array|null>} Reviews in submission order, or null without a token or on error
+ */
+export async function getPullRequestReviews(githubAPI, owner, repoName, number) {
+  if (!githubAPI.isAuthenticated) {
+    return null;
+  }
+
+  try {
+    const { items } = await githubAPI.paginate(`/repos/${owner}/${repoName}/pulls/${number}/reviews`);
+    return items;
+  } catch (error) {
+    console.error("Error fetching PR reviews:", error);
+    return null;
+  }
+}
+
+/**
+ * Each reviewer's latest review that decided something. Comment-only reviews don't change
+ * a reviewer's verdict on GitHub, and pending reviews haven't been submitted, so both are skipped.
+ * @param {Array} reviews - Reviews in submission order
+ * @returns {Array} Latest deciding review per reviewer
+ */
+export function latestReviewsByReviewer(reviews) {
+  const latest = new Map();
+
+  for (const review of reviews) {
+    if (!review.user?.login || !REVIEW_STATE_LABELS[review.state]) continue;
+    latest.set(review.user.login, review);
+  }
+
+  return [...latest.values()];
+}
+
+/**
+ * Overall review status: any outstanding change request wins, then any approval, then dismissals
+ * @param {Array} reviews - Reviews in submission order
+ * @returns {string} One of REVIEW_STATUS
+ */
+export function computeReviewStatus(reviews) {
+  const states = latestReviewsByReviewer(reviews).map(review => review.state);
+
+  if (states.includes('CHANGES_REQUESTED')) return REVIEW_STATUS.CHANGES_REQUESTED;
+  if (states.includes('APPROVED')) return REVIEW_STATUS.APPROVED;
+  if (states.includes('DISMISSED')) return REVIEW_STATUS.DISMISSED;
+  return REVIEW_STATUS.PENDING;
+}
+
+/**
+ * Format the "Reviews" section of the task description: one line per reviewer with
+ * their latest verdict, followed by reviewers who were asked but haven't reviewed yet
+ * @param {Array} reviews - Reviews in submission order
+ * @param {Array} requestedReviewers - Users from the pull request's requested_reviewers
+ * @returns {string} Markdown section, or '' when there is nothing to show
+ */
+export function formatReviewsSection(reviews, requestedReviewers = []) {
+  const latest = latestReviewsByReviewer(reviews);
+  const reviewed = new Set(latest.map(review => review.user.login));
+  const waiting = requestedReviewers.filter(user => user?.login && !reviewed.has(user.login));
+
+  if (latest.length === 0 && waiting.length === 0) {
+    return '';
+  }
+
+  let reviewsText = `\n\n<hr><h2>Reviews</h2>\n\n`;
+
+  for (const review of latest) {
+    const submitted = new Date(review.submitted_at).toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' });
+    reviewsText += `- **[@${review.user.login}](${review.html_url})**: ${REVIEW_STATE_LABELS[review.state]} • ${submitted}\n`;
+  }
+
+  for (const user of waiting) {
+    reviewsText += `- **[@${user.login}](${user.html_url})**: ⏳ Review requested\n`;
+  }
+
+  return reviewsText;
+}
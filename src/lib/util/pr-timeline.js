@@ -0,0 +1,256 @@
+// Merge a pull request's conversation into one chronological timeline
+
+// How each kind of review reads in the timeline
+export const REVIEW_VERDICTS = {
+  APPROVED: '✅ approved',
+  CHANGES_REQUESTED: '❌ requested changes',
+  COMMENTED: '💬 reviewed',
+  DISMISSED: '🚫 reviewed (dismissed)'
+};
+
+// Lines of diff context shown above a review thread (the end of the hunk, where the comment is)
+const DIFF_HUNK_CONTEXT_LINES = 12;
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            isResolved
+            isOutdated
+            comments(first: 1) { nodes { databaseId } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetch whether each review thread is resolved or outdated. REST doesn't expose resolution,
+ * so this goes through GraphQL.
+ * @param {Object} githubAPI - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {number} number - Pull request number
+ * @returns {Promise<Map>} Root comment ID -> { resolved, outdated } (empty on error)
+ */
+export async function getReviewThreadStates(githubAPI, owner, repoName, number) {
+  const states = new Map();
+
+  try {
+    let cursor = null;
+    do {
+      const data = await githubAPI.graphql(REVIEW_THREADS_QUERY, { owner, repo: repoName, number, cursor });
+      const reviewThreads = data.repository.pullRequest.reviewThreads;
+
+      for (const thread of reviewThreads.nodes) {
+        const rootId = thread.comments.nodes[0]?.databaseId;
+        if (rootId) {
+          states.set(rootId, { resolved: thread.isResolved, outdated: thread.isOutdated });
+        }
+      }
+
+      cursor = reviewThreads.pageInfo.hasNextPage ? reviewThreads.pageInfo.endCursor : null;
+    } while (cursor);
+  } catch (error) {
+    console.error("Error fetching review thread states:", error.message);
+  }
+
+  return states;
+}
+
+/**
+ * Format a timestamp the way the rest of the description does
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} e.g. "1/2/2025 at 09:30 AM PST (17:30 GMT)"
+ */
+export function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  const pstDate = date.toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' });
+  const pstTime = date.toLocaleTimeString('en-US', {
+    timeZone: 'America/Los_Angeles',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+  const ukTime = date.toLocaleTimeString('en-GB', {
+    timeZone: 'Europe/London',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+  return `${pstDate} at ${pstTime} PST (${ukTime} GMT)`;
+}
+
+/**
+ * A comment's body, or a placeholder for comments hidden (minimized) on GitHub
+ * @param {Object} comment - Comment, with is_minimized/minimized_reason when loaded through GraphQL
+ * @returns {string} Markdown
+ */
+export function formatCommentBody(comment) {
+  if (!comment.is_minimized) {
+    return comment.body;
+  }
+  const reason = comment.minimized_reason ? ` as ${comment.minimized_reason.toLowerCase().replace(/_/g, ' ')}` : '';
+  return `_Comment hidden on GitHub${reason}_`;
+}
+
+/**
+ * Group review comments into threads: each top-level comment with its replies, oldest first
+ * @param {Array} reviewComments - PR review comments
+ * @param {Map} threadStates - Root comment ID -> { resolved, outdated }, from getReviewThreadStates
+ * @returns {Array<Object>} Threads as { root, replies, resolved, outdated }
+ */
+export function groupReviewThreads(reviewComments, threadStates = new Map()) {
+  const byCreated = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+  const threads = new Map();
+  const startThread = root => {
+    const state = threadStates.get(root.id);
+    threads.set(root.id, {
+      root,
+      replies: [],
+      resolved: !!state?.resolved,
+      // Without the thread's state, a comment whose line is gone from the diff has no position
+      outdated: state ? state.outdated : root.position == null
+    });
+  };
+
+  for (const comment of [...reviewComments].sort(byCreated)) {
+    if (!comment.in_reply_to_id) {
+      startThread(comment);
+    }
+  }
+
+  for (const comment of [...reviewComments].sort(byCreated)) {
+    if (comment.in_reply_to_id) {
+      // A reply whose root we don't have (deleted, or past the cap) starts its own thread
+      const thread = threads.get(comment.in_reply_to_id);
+      if (thread) {
+        thread.replies.push(comment);
+      } else {
+        startThread(comment);
+      }
+    }
+  }
+
+  return [...threads.values()];
+}
+
+/**
+ * Build the timeline entries: conversation comments, submitted reviews (carrying the threads
+ * they started) and threads whose review isn't available, sorted by time
+ * @param {Array} issueComments - Conversation comments (/issues/{n}/comments)
+ * @param {Array} reviews - Reviews (/pulls/{n}/reviews)
+ * @param {Array} reviewComments - Review comments (/pulls/{n}/comments)
+ * @param {Map} threadStates - Root comment ID -> { resolved, outdated }
+ * @returns {Array<Object>} Entries as { type: 'comment'|'review'|'thread', at, ... }
+ */
+export function buildPullRequestTimeline(issueComments, reviews, reviewComments, threadStates = new Map()) {
+  const threads = groupReviewThreads(reviewComments, threadStates);
+  const submitted = reviews.filter(review => review.state !== 'PENDING' && review.submitted_at);
+  const reviewIds = new Set(submitted.map(review => review.id));
+
+  const entries = issueComments.map(comment => ({ type: 'comment', at: comment.created_at, comment }));
+
+  for (const review of submitted) {
+    const reviewThreads = threads.filter(thread => thread.root.pull_request_review_id === review.id);
+    // Replying to a thread creates an empty "commented" review; the reply shows in its thread
+    if (review.state === 'COMMENTED' && !review.body && reviewThreads.length === 0) continue;
+
+    entries.push({ type: 'review', at: review.submitted_at, review, threads: reviewThreads });
+  }
+
+  for (const thread of threads) {
+    if (!reviewIds.has(thread.root.pull_request_review_id)) {
+      entries.push({ type: 'thread', at: thread.root.created_at, thread });
+    }
+  }
+
+  return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Format a review thread: file and lines with resolved/outdated markers, the end of the diff
+ * hunk it refers to, the root comment and its replies quoted underneath
+ * @param {Object} thread - Thread from groupReviewThreads
+ * @returns {string} Markdown
+ */
+export function formatReviewThread(thread) {
+  const { root } = thread;
+  const markers = [thread.resolved && '✔️ resolved', thread.outdated && '⏳ outdated'].filter(Boolean);
+
+  let threadText = `📄 **${root.path}**${formatLineRange(root)}${markers.length > 0 ? ` _(${markers.join(', ')})_` : ''}\n\n`;
+
+  if (root.diff_hunk) {
+    const hunk = root.diff_hunk.split('\n').slice(-DIFF_HUNK_CONTEXT_LINES).join('\n');
+    const fence = '`'.repeat(Math.max(3, longestBacktickRun(hunk) + 1));
+    threadText += `${fence}diff\n${hunk}\n${fence}\n\n`;
+  }
+
+  threadText += `**[@${root.user?.login || 'ghost'}](${root.html_url}):** ${formatCommentBody(root)}\n\n`;
+
+  for (const reply of thread.replies) {
+    const replyText = `**[@${reply.user?.login || 'ghost'}](${reply.html_url}):** ${formatCommentBody(reply)}`;
+    threadText += replyText.split('\n').map(line => `> ${line}`).join('\n') + '\n\n';
+  }
+
+  return threadText;
+}
+
+/**
+ * Describe the lines a review comment covers, e.g. " lines 10–14" or " line 12"
+ * @param {Object} comment - Review comment
+ * @returns {string} Line range text, or '' for file-level comments
+ */
+export function formatLineRange(comment) {
+  const end = comment.line ?? comment.original_line;
+  const start = comment.start_line ?? comment.original_start_line;
+
+  if (!end) return '';
+  return start && start !== end ? ` lines ${start}–${end}` : ` line ${end}`;
+}
+
+function longestBacktickRun(text) {
+  return Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+}
+
+/**
+ * Format the timeline as the "Conversation" section of the task description
+ * @param {Array<Object>} entries - Entries from buildPullRequestTimeline
+ * @returns {string} Markdown section, or '' when there is no conversation
+ */
+export function formatPullRequestTimeline(entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+
+  let timelineText = `\n\n<hr><h2>Conversation</h2>\n\n`;
+
+  for (const entry of entries) {
+    if (entry.type === 'comment') {
+      const { comment } = entry;
+      const username = comment.user?.login || 'ghost';
+      timelineText += `**[@${username}](${comment.html_url})** • ${formatTimestamp(comment.created_at)}\n`;
+      timelineText += `${formatCommentBody(comment)}\n\n`;
+    } else if (entry.type === 'review') {
+      const { review } = entry;
+      const username = review.user?.login || 'ghost';
+      timelineText += `**[@${username}](${review.html_url})** ${REVIEW_VERDICTS[review.state] || 'reviewed'} • ${formatTimestamp(review.submitted_at)}\n`;
+      if (review.body) {
+        timelineText += `${review.body}\n`;
+      }
+      timelineText += '\n';
+      for (const thread of entry.threads) {
+        timelineText += formatReviewThread(thread);
+      }
+    } else {
+      timelineText += `**Review comment** • ${formatTimestamp(entry.at)}\n`;
+      timelineText += formatReviewThread(entry.thread);
+    }
+  }
+
+  return timelineText;
+}
@@ -0,0 +1,182 @@
+// Route GitHub repositories (and optionally labels) to Asana projects and sections
+
+// ROUTING_KV key prefix for routes registered for single repositories, one key per repository
+const REPOSITORY_ROUTE_PREFIX = 'repositoryRoute:';
+
+/**
+ * Load the routing table.
+ * The table is read from the `routing` key of the ROUTING_KV namespace when bound and set,
+ * otherwise from the ASANA_ROUTING environment variable. ASANA_PROJECT_ID is used as the
+ * default project when the table doesn't name one. Routes registered with
+ * registerRepositoryRoute are merged in, but a route in the table that names the repository
+ * itself always wins over them.
+ *
+ * Example:
+ * {
+ *   "default": { "project": "1200000000000001" },
+ *   "routes": [
+ *     { "repo": "my-org/frontend-*", "project": "1200000000000002" },
+ *     { "repo": "my-org/*", "labels": ["security"], "project": "1200000000000003", "section": "1200000000000004" }
+ *   ]
+ * }
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @returns {Promise<Object>} Routing config with `default` and `routes`
+ */
+export async function loadRoutingConfig(env) {
+  let config = null;
+
+  if (env.ROUTING_KV) {
+    try {
+      config = await env.ROUTING_KV.get('routing', 'json');
+    } catch (error) {
+      console.error('❌ Error reading routing config from KV:', error.message);
+    }
+  }
+
+  if (!config) {
+    config = parseRoutingVariable(env);
+  }
+
+  return {
+    default: {
+      project: config?.default?.project || env.ASANA_PROJECT_ID || null,
+      section: config?.default?.section || null
+    },
+    routes: mergeRepositoryRoutes(
+      Array.isArray(config?.routes) ? config.routes : [],
+      await loadRepositoryRoutes(env)
+    )
+  };
+}
+
+function parseRoutingVariable(env) {
+  if (!env.ASANA_ROUTING) {
+    return null;
+  }
+  
+  try {
+    return typeof env.ASANA_ROUTING === 'string' ? JSON.parse(env.ASANA_ROUTING) : env.ASANA_ROUTING;
+  } catch (error) {
+    throw new Error(`ASANA_ROUTING is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Register a route for a single repository, unless the routing table already names it. Each
+ * repository's route is stored under a ROUTING_KV key of its own, so the routing table itself
+ * (in KV or ASANA_ROUTING) is never rewritten and concurrent registrations can't overwrite
+ * each other. Delete the key, or add a route for the repository to the table, to send the
+ * repository elsewhere.
+ *
+ * @param {Object} env - Environment variables and bindings
+ * @param {string} repoFullName - Repository in owner/repo form
+ * @param {Object} route - { project, section }
+ * @returns {Promise<boolean>} Whether the route was added
+ */
+export async function registerRepositoryRoute(env, repoFullName, route) {
+  if (!env.ROUTING_KV) {
+    console.log(`⚠️  No ROUTING_KV bound, cannot register a route for ${repoFullName}`);
+    return false;
+  }
+  
+  const config = await loadRoutingConfig(env);
+  if (config.routes.some(existing => existing.repo?.toLowerCase() === repoFullName.toLowerCase())) {
+    console.log(`ℹ️  Routing config already has a route for ${repoFullName}`);
+    return false;
+  }
+  
+  // Kept as metadata too, so loading every route takes a single list call
+  const entry = { repo: repoFullName, ...route };
+  await env.ROUTING_KV.put(`${REPOSITORY_ROUTE_PREFIX}${repoFullName.toLowerCase()}`, JSON.stringify(entry), { metadata: entry });
+  console.log(`🧭 Registered route for ${repoFullName} to project ${route.project}`);
+  return true;
+}
+
+async function loadRepositoryRoutes(env) {
+  if (!env.ROUTING_KV) {
+    return [];
+  }
+  
+  const routes = [];
+  try {
+    let cursor = undefined;
+    do {
+      const page = await env.ROUTING_KV.list({ prefix: REPOSITORY_ROUTE_PREFIX, cursor });
+      routes.push(...page.keys.map(key => key.metadata).filter(route => route?.repo && route.project));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+  } catch (error) {
+    console.error('❌ Error reading repository routes from KV:', error.message);
+  }
+  
+  return routes;
+}
+
+/**
+ * Add registered repository routes to the table's routes. Each goes right before the first
+ * unlabelled route that matches its repository, so label routes keep their precedence and
+ * only the registered route's section changes where the repository's issues land.
+ * @param {Array} routes - Routes from the routing table
+ * @param {Array} repositoryRoutes - Registered repository routes
+ * @returns {Array} Merged routes
+ */
+function mergeRepositoryRoutes(routes, repositoryRoutes) {
+  const merged = [...routes];
+  
+  for (const route of repositoryRoutes) {
+    if (routes.some(existing => existing.repo?.toLowerCase() === route.repo.toLowerCase())) {
+      continue;
+    }
+    
+    const index = merged.findIndex(existing =>
+      existing.project && !(existing.labels?.length > 0) && matchesRepoPattern(existing.repo || '*', route.repo)
+    );
+    merged.splice(index === -1 ? merged.length : index, 0, route);
+  }
+  
+  return merged;
+}
+
+/**
+ * Pick the Asana project and section for a repository.
+ * Routes are checked in order and the first match wins. A route matches when its `repo`
+ * pattern matches and, if it lists `labels`, the issue carries at least one of them.
+ *
+ * @param {Object} config - Routing config from loadRoutingConfig
+ * @param {string} repoFullName - Repository in owner/repo form
+ * @param {Array} labels - GitHub labels (objects with `name`, or strings)
+ * @returns {Object} { projectId, sectionId }
+ */
+export function resolveRoute(config, repoFullName, labels = []) {
+  const labelNames = labels.map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+
+  for (const route of config.routes) {
+    if (!route.project || !matchesRepoPattern(route.repo || '*', repoFullName)) {
+      continue;
+    }
+
+    if (route.labels?.length > 0 && !route.labels.some(label => labelNames.includes(label.toLowerCase()))) {
+      continue;
+    }
+
+    console.log(`🧭 Routing ${repoFullName} to project ${route.project} (pattern: ${route.repo || '*'})`);
+    return { projectId: route.project, sectionId: route.section || null };
+  }
+
+  return { projectId: config.default.project, sectionId: config.default.section };
+}
+
+/**
+ * Match an owner/repo name against a pattern where `*` matches any run of characters
+ * @param {string} pattern - Pattern such as "my-org/*" or "*"
+ * @param {string} repoFullName - Repository in owner/repo form
+ * @returns {boolean} Whether the pattern matches
+ */
+function matchesRepoPattern(pattern, repoFullName) {
+  const regex = new RegExp(
+    '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$',
+    'i'
+  );
+  return regex.test(repoFullName);
+}
@@ -0,0 +1,54 @@
+// Rules for placing tasks in Asana sections based on GitHub state and labels
+
+/**
+ * Load section placement rules from the ASANA_SECTION_RULES environment variable.
+ *
+ * Example:
+ * [
+ *   { "labels": ["needs-triage"], "section": "Triage" },
+ *   { "type": "PR", "state": "open", "section": "In Review" },
+ *   { "state": "merged", "section": "Done" }
+ * ]
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Array} Section rules (empty when not configured)
+ */
+export function loadSectionRules(env) {
+  if (!env.ASANA_SECTION_RULES) {
+    return [];
+  }
+
+  try {
+    const rules = typeof env.ASANA_SECTION_RULES === 'string'
+      ? JSON.parse(env.ASANA_SECTION_RULES)
+      : env.ASANA_SECTION_RULES;
+    return Array.isArray(rules) ? rules.filter(rule => rule.section) : [];
+  } catch (error) {
+    console.error('❌ ASANA_SECTION_RULES is not valid JSON:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the section for an issue/PR. Rules are checked in order and the first match wins.
+ * A rule matches when every condition it lists holds:
+ * - `type`: "Issue" or "PR"
+ * - `state`: "open", "closed" or "merged" (a closed, unmerged PR is "closed")
+ * - `labels`: at least one of the listed labels is present
+ *
+ * @param {Array} rules - Rules from loadSectionRules
+ * @param {Object} item - { type, state, labels }
+ * @returns {string|null} Section name, or null when no rule matches
+ */
+export function resolveSectionName(rules, { type, state, labels = [] }) {
+  const labelNames = labels.map(label => label.name.toLowerCase());
+
+  const rule = rules.find(rule => {
+    if (rule.type && rule.type !== type) return false;
+    if (rule.state && rule.state !== state) return false;
+    if (rule.labels?.length > 0 && !rule.labels.some(label => labelNames.includes(label.toLowerCase()))) return false;
+    return true;
+  });
+
+  return rule ? rule.section : null;
+}
@@ -0,0 +1,113 @@
+// Parse GitHub task lists (- [ ] item) and track their items across edits
+
+const TASK_ITEM_REGEX = /^[-*+] \[( |x|X)\] (.*\S)\s*$/;
+
+/**
+ * Walk the lines of a markdown document that are outside fenced code blocks
+ * @param {string} markdown - Markdown source
+ * @param {Function} visit - Called with (line, index) for every line outside code fences
+ */
+function forEachProseLine(markdown, visit) {
+  let inFence = false;
+  markdown.split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (!inFence) {
+      visit(line.replace(/\r$/, ''), index);
+    }
+  });
+}
+
+/**
+ * Extract the top-level task-list items from markdown. Nested items and items inside
+ * code blocks are ignored.
+ * @param {string} markdown - Markdown source
+ * @returns {Array<Object>} Items as { text, checked }, in document order
+ */
+export function parseTaskList(markdown) {
+  const items = [];
+  if (!markdown) return items;
+  
+  forEachProseLine(markdown, line => {
+    const match = line.match(TASK_ITEM_REGEX);
+    if (match) {
+      items.push({ text: match[2].trim(), checked: match[1] !== ' ' });
+    }
+  });
+  
+  return items;
+}
+
+/**
+ * Remove top-level task-list items (and their indented continuation lines) from markdown,
+ * putting `replacement` where the first one was
+ * @param {string} markdown - Markdown source
+ * @param {string} replacement - Line to insert in place of the items
+ * @param {Function} keepItem - Optional predicate on an item's text; items it accepts stay put
+ * @returns {string} Markdown without the top-level task list
+ */
+export function replaceTaskList(markdown, replacement, keepItem = null) {
+  if (!markdown) return markdown;
+  
+  const itemLines = new Set();
+  let inItem = false;
+  forEachProseLine(markdown, (line, index) => {
+    const match = line.match(TASK_ITEM_REGEX);
+    if (match) {
+      inItem = !(keepItem && keepItem(match[2].trim()));
+      if (inItem) itemLines.add(index);
+    } else if (inItem && /^\s+\S/.test(line)) {
+      itemLines.add(index);
+    } else {
+      inItem = false;
+    }
+  });
+  
+  if (itemLines.size === 0) return markdown;
+  
+  const firstItemLine = Math.min(...itemLines);
+  return markdown
+    .split('\n')
+    .flatMap((line, index) => {
+      if (index === firstItemLine) return [replacement];
+      return itemLines.has(index) ? [] : [line];
+    })
+    .join('\n');
+}
+
+/**
+ * Match the current task-list items against the ones synced last time, so that edits
+ * update existing subtasks instead of creating duplicates.
+ * Items are matched by identical text first (which handles reordering), then by position
+ * (which handles text edits). Whatever is left is new or removed.
+ *
+ * @param {Array<Object>} previous - Previously synced items as { text, gid }
+ * @param {Array<Object>} items - Current items as { text, checked }
+ * @returns {Object} { matched: [{ item, gid }], created: [item], removed: [previous item] }
+ */
+export function matchTaskListItems(previous, items) {
+  const assigned = new Array(items.length).fill(null);
+  const used = new Set();
+  
+  items.forEach((item, index) => {
+    const previousIndex = previous.findIndex((prev, i) => !used.has(i) && prev.text === item.text);
+    if (previousIndex !== -1) {
+      used.add(previousIndex);
+      assigned[index] = previous[previousIndex].gid;
+    }
+  });
+  
+  items.forEach((item, index) => {
+    if (assigned[index] || !previous[index] || used.has(index)) return;
+    used.add(index);
+    assigned[index] = previous[index].gid;
+  });
+  
+  return {
+    matched: items.map((item, index) => ({ item, gid: assigned[index] })).filter(match => match.gid),
+    created: items.filter((item, index) => !assigned[index]),
+    removed: previous.filter((prev, index) => !used.has(index))
+  };
+}
@@ -1,6 +1,6 @@
-// Verify GitHub webhook signature
+// Verify GitHub and Asana webhook signatures
 
-export async function verifyWebhookSignature(body, signature, secret) {
+async function hmacSha256Hex(body, secret) {
   const encoder = new TextEncoder();
   const key = await crypto.subtle.importKey(
     'raw',
@@ -11,9 +11,32 @@ export async function verifyWebhookSignature(body, signature, secret) {
   );
   
   const signatureBuffer = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
-  const expectedSignature = 'sha256=' + Array.from(new Uint8Array(signatureBuffer))
+  return Array.from(new Uint8Array(signatureBuffer))
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
+}
+
+export async function verifyWebhookSignature(body, signature, secret) {
+  const expectedSignature = 'sha256=' + await hmacSha256Hex(body, secret);
+  
+  return signature === expectedSignature;
+}
+
+// Asana webhook targets are /asana/<name>.<hmac>, signed by dev/setup-asana-webhook.js with
+// ASANA_WEBHOOK_KEY_SECRET, so only webhooks we registered can complete a handshake
+export async function verifyWebhookKey(webhookKey, secret) {
+  const separator = webhookKey.lastIndexOf('.');
+  if (!secret || separator === -1) {
+    return false;
+  }
+  
+  const expectedSignature = await hmacSha256Hex(webhookKey.slice(0, separator), secret);
+  return webhookKey.slice(separator + 1) === expectedSignature;
+}
+
+// Asana sends a bare hex HMAC-SHA256 of the body in X-Hook-Signature
+export async function verifyAsanaSignature(body, signature, secret) {
+  const expectedSignature = await hmacSha256Hex(body, secret);
   
   return signature === expectedSignature;
-}
\ No newline at end of file
+}